@@ -1,5 +1,6 @@
 using System;
 using System.Reflection;
+using System.Runtime.InteropServices;
 using UnityEngine;
 using UnityEngine.Events;
 using UnityEngine.Scripting;
@@ -16,6 +17,30 @@ using UnityEngine.UI;
 /// - ブラウザ側は SendMessage('EmbeddedReceiver', 'OnEmbeddedState', jsonString) を送信
 /// 
 /// 受け取り JSON 例: { "type":"embedded_state", "state":"KICK", "confidence":0.92 }
+/// 両手モードでは "hand":"left" / "right" が付き、手ごとに届きます。状態は手ごとに保持し（GetHandState / onHandStateChanged）、
+/// currentState / onStateChanged は iframe 側と同じく KICK > CHARGE > RUN > NONE の優先度（同順位なら信頼度の高い方）でまとめた状態です。
+/// KICK には溜め時間と指の曲げから求めた "power"(0..1) が付きます（currentKickPower）。
+/// KICK には方向 "azimuth"（正面からの方位角、右が正）と "loft"（打ち上げ角）も付きます（rad、KickDirection）。
+/// 溜め中は OnEmbeddedChargeProgress に { "progress":0.4 } が届きます（chargeProgress / onChargeProgress）。
+/// パス・ジャンプ・フェイントは OnEmbeddedGesture に { "type":"embedded_gesture", "gesture":"pass", "confidence":0.7, "direction":"right", "azimuth":0.9 }
+/// の形で届きます（direction / azimuth は pass のみ。lastGesture / onGesture）。状態（currentState）は変えません。
+/// 
+/// 手を見失うと（iframe 側の短い予測期間を過ぎると）OnEmbeddedHandPresence に
+/// { "type":"embedded_hand_lost", "lastSeenAt":..., "hand":"left" } が、再検出で "embedded_hand_found"（lostMs 付き）が届きます
+/// （handVisible / onHandLost / onHandFound）。「手を見せて」表示などに使えます。
+/// 
+/// カメラの状態は OnEmbeddedCamera に { "type":"embedded_camera", "status":"ending", "reason":"track_ended" } の形で届きます
+/// （status: ready / ending / error / switched、cameraStatus / onCameraStatus）。ending の後は iframe が自動で復旧を試みます。
+/// 
+/// 起動診断は OnEmbeddedDiagnostics に { "type":"embedded_diagnostics", "ok":false, "code":"permission_denied", "durationMs":1234, "report":"{...}" }
+/// の形で届きます（report は段階ごとの結果と試したアセットの取得元を含む JSON 文字列。startupOk / startupCode / onStartupDiagnostics）。
+/// 
+/// テレメトリ（opt-in、ホストページを ?telemetry=15 などで開く）を有効にすると
+/// OnEmbeddedTelemetry に actionState 全体が一定レートで届きます（latestTelemetry / onTelemetry）。
+/// 
+/// カメラフレームから出たメッセージ（state / charge_progress / gesture / hand presence / telemetry）には "ackId" が付きます。
+/// ackMessages を有効にすると受け取った時点で embeddedRelay.jslib 経由でホストへ返し、
+/// ホストのデバッグダッシュボードが SendMessage から受領までのレイテンシを計測します。
 /// </summary>
 public class HandStateReceiver : MonoBehaviour
 {
@@ -24,9 +49,53 @@ public class HandStateReceiver : MonoBehaviour
     public class StateChangeEvent : UnityEvent<string, float> { }
 
     [Header("Events")]
-    [Tooltip("状態が変化したときに発火するイベント。パラメータ: state, confidence")]
+    [Tooltip("状態が変化したときに発火するイベント。両手モードでは両手をまとめた状態の変化。パラメータ: state, confidence")]
     public StateChangeEvent onStateChanged = new StateChangeEvent();
 
+    [System.Serializable]
+    public class HandStateChangeEvent : UnityEvent<string, string, float> { }
+
+    [Tooltip("手ごとの状態が変化したときに発火するイベント。パラメータ: hand（両手モード時のみ left / right、片手なら空）, state, confidence")]
+    public HandStateChangeEvent onHandStateChanged = new HandStateChangeEvent();
+
+    [System.Serializable]
+    public class TelemetryEvent : UnityEvent<EmbeddedTelemetry> { }
+
+    [Tooltip("テレメトリを受信するたびに発火するイベント（有効時のみ）")]
+    public TelemetryEvent onTelemetry = new TelemetryEvent();
+
+    [System.Serializable]
+    public class ChargeProgressEvent : UnityEvent<float> { }
+
+    [Tooltip("溜めの進み具合（0..1）が更新されたときに発火するイベント")]
+    public ChargeProgressEvent onChargeProgress = new ChargeProgressEvent();
+
+    [System.Serializable]
+    public class GestureEvent : UnityEvent<string, float> { }
+
+    [Tooltip("パス・ジャンプ・フェイントを検出したときに発火するイベント。パラメータ: gesture（pass / jump / feint）, confidence")]
+    public GestureEvent onGesture = new GestureEvent();
+
+    [System.Serializable]
+    public class HandPresenceEvent : UnityEvent<string> { }
+
+    [Tooltip("手を見失ったときに発火するイベント。パラメータ: hand（両手モード時のみ left / right、片手なら空）")]
+    public HandPresenceEvent onHandLost = new HandPresenceEvent();
+    [Tooltip("見失った手を再検出したときに発火するイベント。パラメータ: hand")]
+    public HandPresenceEvent onHandFound = new HandPresenceEvent();
+
+    [System.Serializable]
+    public class StartupDiagnosticsEvent : UnityEvent<bool, string> { }
+
+    [Tooltip("起動診断が届いたときに発火するイベント。パラメータ: ok, code（失敗した段階の理由、成功時は空）")]
+    public StartupDiagnosticsEvent onStartupDiagnostics = new StartupDiagnosticsEvent();
+
+    [System.Serializable]
+    public class CameraStatusEvent : UnityEvent<string, string> { }
+
+    [Tooltip("カメラの状態が届いたときに発火するイベント。パラメータ: status（ready / ending / error / switched）, reason")]
+    public CameraStatusEvent onCameraStatus = new CameraStatusEvent();
+
     [Header("UI Display (Optional)")]
     [Tooltip("TextMeshPro のコンポーネントをアサインする（TMPro.TextMeshProUGUI）。Inspector で直接アサインできます。")]
     public Component tmpProText; // assign TextMeshProUGUI here (Component so compiles even if TMPro not present)
@@ -50,9 +119,115 @@ public class HandStateReceiver : MonoBehaviour
     [Header("Current State")]
     public string currentState = "NONE";
     public float currentConfidence = 0f;
+    [Tooltip("currentState を出している手（両手モード時のみ left / right、片手なら空）")]
+    public string currentHand = "";
+    [Tooltip("直近の KICK の強さ（0..1）。power の付かない古い送信元では confidence を使う")]
+    public float currentKickPower = 0f;
+    [Tooltip("溜めの進み具合（0..1）。CHARGE 以外の状態になると 0 に戻る")]
+    public float chargeProgress = 0f;
+    [Tooltip("直近の KICK の方位角（rad、正面 0、右が正）")]
+    public float currentKickAzimuth = 0f;
+    [Tooltip("直近の KICK の打ち上げ角（rad）")]
+    public float currentKickLoft = DefaultKickLoft;
 
-    // 前回の状態（状態変化検出用）
-    private string previousState = "NONE";
+    // 方向の付かない送信元での打ち上げ角（iframe 側 GESTURE_CFG.kick.direction.defaultLoftRad と同じ）
+    private const float DefaultKickLoft = 0.64f;
+
+    /// <summary>
+    /// 直近の KICK の向き（ワールド座標の単位ベクトル、前方 +Z・右 +X・上 +Y）。
+    /// 蹴る側の前方に合わせる場合は transform.TransformDirection などで回してください。
+    /// </summary>
+    public Vector3 KickDirection
+    {
+        get
+        {
+            float c = Mathf.Cos(currentKickLoft);
+            return new Vector3(c * Mathf.Sin(currentKickAzimuth), Mathf.Sin(currentKickLoft), c * Mathf.Cos(currentKickAzimuth));
+        }
+    }
+
+    [Tooltip("直近のジェスチャ（pass / jump / feint）。未受信なら空")]
+    public string lastGesture = "";
+    [Tooltip("直近の pass の向き（left / right）")]
+    public string lastGestureDirection = "";
+    [Tooltip("直近の pass の方位角（rad、正面 0、右が正）")]
+    public float lastGestureAzimuth = 0f;
+    [Tooltip("直近のジェスチャを出した手（両手モード時のみ left / right、片手なら空）")]
+    public string lastGestureHand = "";
+    [Tooltip("直近のジェスチャを受け取った時刻（Time.unscaledTime）。未受信なら -1")]
+    public float lastGestureTime = -1f;
+
+    [Tooltip("手が見えているか（hand_lost で false、hand_found で true）。両手モードではどちらかの手が見えていれば true")]
+    public bool handVisible = true;
+    [Tooltip("最後に hand_lost を受け取った時刻（Time.unscaledTime）。未受信なら -1")]
+    public float handLostTime = -1f;
+
+    [Tooltip("直近のカメラの状態（ready / ending / error / switched）。未受信なら空")]
+    public string cameraStatus = "";
+    [Tooltip("直近のカメラ状態の理由コード（track_ended / device_removed / permission_denied など）")]
+    public string cameraReason = "";
+
+    /// <summary>カメラ映像が届いているか（ending / error の間は false）。</summary>
+    public bool CameraActive => cameraStatus == "ready" || cameraStatus == "switched";
+
+    [Tooltip("直近の起動が成功したか（起動診断を未受信なら false）")]
+    public bool startupOk = false;
+    [Tooltip("直近の起動診断のコード（permission_denied / model_unavailable など、成功時は空）")]
+    public string startupCode = "";
+    [Tooltip("直近の起動にかかった時間（ミリ秒）")]
+    public float startupDurationMs = 0f;
+    // 直近の起動診断レポート（JSON 文字列。失敗の集計用にそのまま送る想定）
+    [NonSerialized] public string startupReportJson = "";
+
+    // 両手モードで見失っている手（left / right）
+    private readonly System.Collections.Generic.HashSet<string> lostHands = new System.Collections.Generic.HashSet<string>();
+
+    // 直近のテレメトリと受信時刻（Time.unscaledTime）。未受信なら null
+    [NonSerialized] public EmbeddedTelemetry latestTelemetry;
+    [NonSerialized] public float lastTelemetryTime = -1f;
+
+    [Tooltip("この秒数テレメトリが届かなければ追跡品質を 0 とみなす")]
+    [SerializeField] private float telemetryTimeoutSec = 1.0f;
+
+    [Tooltip("ackId 付きのメッセージを受け取ったらホストへ受領を返す（ホストのダッシュボードでレイテンシを計測するとき用、WebGL ビルドのみ）")]
+    [SerializeField] private bool ackMessages = false;
+
+#if UNITY_WEBGL && !UNITY_EDITOR
+    [DllImport("__Internal")]
+    private static extern void __ackEmbeddedMessage(int ackId);
+#endif
+
+    // 手ごとの状態（片手なら "" の 1 つ、両手なら left / right）
+    private struct HandState
+    {
+        public string state;
+        public float confidence;
+    }
+    private readonly System.Collections.Generic.Dictionary<string, HandState> handStates = new System.Collections.Generic.Dictionary<string, HandState>();
+
+    /// <summary>手ごとの状態（hand は left / right、片手なら空）。未受信なら "NONE"。</summary>
+    public string GetHandState(string hand)
+    {
+        return handStates.TryGetValue(hand ?? "", out var h) ? h.state : "NONE";
+    }
+
+    /// <summary>手ごとの信頼度（hand は left / right、片手なら空）。未受信なら 0。</summary>
+    public float GetHandConfidence(string hand)
+    {
+        return handStates.TryGetValue(hand ?? "", out var h) ? h.confidence : 0f;
+    }
+
+    // iframe 側 mergeHandStates と同じ優先度
+    private static int StatePriority(string state)
+    {
+        switch (state)
+        {
+            case "KICK": return 3;
+            case "CHARGE": return 2;
+            case "RUN": return 1;
+            default: return 0;
+        }
+    }
 
     [Serializable]
     private class EmbeddedStatePayload
@@ -60,6 +235,139 @@ public class HandStateReceiver : MonoBehaviour
         public string type;
         public string state;
         public float confidence;
+        public string hand;
+        public float power = -1f;
+        public float azimuth = 0f;
+        public float loft = -1f;
+        public int ackId;
+    }
+
+    [Serializable]
+    private class ChargeProgressPayload
+    {
+        public string type;
+        public float progress;
+        public string hand;
+        public int ackId;
+    }
+
+    [Serializable]
+    private class GesturePayload
+    {
+        public string type;
+        public string gesture;
+        public float confidence;
+        public string direction;
+        public float azimuth;
+        public string hand;
+        public int ackId;
+    }
+
+    [Serializable]
+    private class HandPresencePayload
+    {
+        public string type;
+        public string hand;
+        public double lastSeenAt;
+        public float lostMs;
+        public int ackId;
+    }
+
+    [Serializable]
+    private class DiagnosticsPayload
+    {
+        public string type;
+        public bool ok;
+        public string code;
+        public float durationMs;
+        public string report;
+    }
+
+    [Serializable]
+    private class CameraStatusPayload
+    {
+        public string type;
+        public string status;
+        public string reason;
+        public string deviceId;
+    }
+
+    [Serializable]
+    public class HandTelemetry
+    {
+        public string state;
+        public float confidence;
+        public string role;
+        public bool visible;
+        public bool charge;
+        public float runConf;
+        public float chargeProgress;
+        public float kickPower;
+        public float kickAzimuth;
+        public float kickLoft;
+        public bool predicted;
+        public bool handLost;
+    }
+
+    [Serializable]
+    public class HandsTelemetry
+    {
+        public HandTelemetry left;
+        public HandTelemetry right;
+    }
+
+    /// <summary>
+    /// iframe 側 HandTracker の actionState。フィールド名は JS 側と同じ。
+    /// sinceSeen は手を最後に検出してからの秒数（未検出なら -1）。
+    /// </summary>
+    [Serializable]
+    public class EmbeddedTelemetry
+    {
+        public string type;
+        public string state;
+        public float confidence;
+        public bool charge;
+        public bool chargeHeld;
+        public bool chargePending;
+        public float runConf;
+        public float kickScore;
+        public float chargeProgress;
+        public float kickPower;
+        public float kickAzimuth;
+        public float kickLoft;
+        public float tipSpeedPeak;
+        public float tipForwardMin;
+        public float palmSize;
+        public float fps;
+        public float ts;
+        public float lastSeenTime;
+        public float sinceSeen;
+        public bool predicted;
+        public bool handLost;
+        public string hand;
+        public HandsTelemetry hands;
+        // 追跡パイプラインの品質ティア（high / medium / low / minimal）と段階（0 が最高）
+        public string qualityTier;
+        public int qualityLevel;
+        // レイテンシ計測用の id（ホストが付ける。ackMessages 有効時に受領を返す）
+        public int ackId;
+    }
+
+    /// <summary>
+    /// 追跡品質の目安（0..1）。テレメトリの鮮度、検出 FPS（30 で 1）、手を見失ってからの時間から求める。
+    /// テレメトリが無効/途絶している場合は 0。
+    /// </summary>
+    public float TrackingQuality
+    {
+        get
+        {
+            var t = latestTelemetry;
+            if (t == null || lastTelemetryTime < 0f || Time.unscaledTime - lastTelemetryTime > telemetryTimeoutSec) return 0f;
+            if (t.sinceSeen < 0f) return 0f;
+            float fpsFactor = Mathf.Clamp01(t.fps / 30f);
+            float seenFactor = Mathf.Clamp01(1f - t.sinceSeen / 0.5f);
+            return fpsFactor * seenFactor;
+        }
     }
 
     void Start()
@@ -83,6 +391,16 @@ public class HandStateReceiver : MonoBehaviour
         catch { }
     }
 
+    // 受領をホストへ返す（ackMessages 有効時、ackId の付いたメッセージのみ）
+    private void Ack(int ackId)
+    {
+        if (!ackMessages || ackId <= 0) return;
+#if UNITY_WEBGL && !UNITY_EDITOR
+        try { __ackEmbeddedMessage(ackId); }
+        catch (Exception e) { Debug.LogWarning($"HandStateReceiver: ack failed: {e.Message}"); }
+#endif
+    }
+
     /// <summary>
     /// Unity の SendMessage から呼ばれるエントリポイント。
     /// 引数 json は JSON 文字列。
@@ -129,17 +447,59 @@ public class HandStateReceiver : MonoBehaviour
             return;
         }
 
+        Ack(payload.ackId);
+
         // Log parsed payload for visibility in browser console (WebGL)
-        try { Debug.Log($"HandStateReceiver.parsed: state={payload.state} confidence={payload.confidence}"); } catch { }
+        try { Debug.Log($"HandStateReceiver.parsed: state={payload.state} confidence={payload.confidence} hand={payload.hand}"); } catch { }
 
-        // 前回の状態を保存
-        previousState = currentState;
+        // 手ごとの状態を更新する。片手と両手の送信元が切り替わったら、もう一方の形式の手の状態は捨てる
+        string hand = payload.hand ?? "";
+        string state = payload.state ?? "NONE";
+        if (hand == "") { handStates.Remove("left"); handStates.Remove("right"); }
+        else handStates.Remove("");
+        string previousHandState = GetHandState(hand);
+        handStates[hand] = new HandState { state = state, confidence = payload.confidence };
+        if (state == "KICK")
+        {
+            currentKickPower = payload.power >= 0f ? Mathf.Clamp01(payload.power) : payload.confidence;
+            currentKickAzimuth = payload.azimuth;
+            currentKickLoft = payload.loft >= 0f ? payload.loft : DefaultKickLoft;
+        }
 
-        // Update current state (public variables for other scripts to access)
-        currentState = payload.state ?? "NONE";
-        currentConfidence = payload.confidence;
+        if (previousHandState != state)
+        {
+            try
+            {
+                onHandStateChanged?.Invoke(hand, state, payload.confidence);
+            }
+            catch (Exception e)
+            {
+                Debug.LogError($"HandStateReceiver: Error invoking hand state change event: {e.Message}");
+            }
+        }
+
+        // Update current state (public variables for other scripts to access): 手ごとの状態を優先度でまとめる
+        string previousState = currentState;
+        string mergedState = "NONE";
+        string mergedHand = "";
+        float mergedConfidence = 0f;
+        foreach (var entry in handStates)
+        {
+            int pe = StatePriority(entry.Value.state);
+            int pb = StatePriority(mergedState);
+            if (pe > pb || (pe == pb && pe > 0 && entry.Value.confidence > mergedConfidence))
+            {
+                mergedState = entry.Value.state;
+                mergedHand = entry.Key;
+                mergedConfidence = entry.Value.confidence;
+            }
+        }
+        currentState = mergedState;
+        currentConfidence = mergedConfidence;
+        currentHand = mergedHand;
+        if (currentState != "CHARGE") chargeProgress = 0f;
 
-        // 状態が変化した場合、イベントを発火
+        // まとめた状態が変化した場合、イベントを発火
         if (previousState != currentState)
         {
             try
@@ -157,14 +517,14 @@ public class HandStateReceiver : MonoBehaviour
         // 表示は RUN / CHARGE / KICK のみ。NONE やその他は非表示（空文字）。
         if (tmpProText != null || uiText != null)
         {
-            string s = (payload.state ?? "").ToUpperInvariant();
+            string s = currentState.ToUpperInvariant();
             bool show = (s == "RUN" || s == "CHARGE" || s == "KICK");
 
             if (show)
             {
                 // ラベルや信頼度は表示せず、純粋に状態名のみ表示（大文字）
                 var text = s; // e.g., RUN / CHARGE / KICK
-                var color = ColorForState(payload.state);
+                var color = ColorForState(currentState);
 
                 // Update UI: prefer TMP if assigned (set via reflection so script compiles without TMPro)
                 if (tmpProText != null)
@@ -198,6 +558,171 @@ public class HandStateReceiver : MonoBehaviour
         }
     }
 
+    /// <summary>
+    /// テレメトリのエントリポイント（SendMessage('EmbeddedReceiver', 'OnEmbeddedTelemetry', json)）。
+    /// 高頻度で届くためログは出さない。
+    /// </summary>
+    [Preserve]
+    public void OnEmbeddedTelemetry(string json)
+    {
+        if (string.IsNullOrEmpty(json)) return;
+        EmbeddedTelemetry t = null;
+        try { t = JsonUtility.FromJson<EmbeddedTelemetry>(json); }
+        catch (Exception) { t = null; }
+        if (t == null) return;
+        Ack(t.ackId);
+
+        latestTelemetry = t;
+        lastTelemetryTime = Time.unscaledTime;
+        try
+        {
+            onTelemetry?.Invoke(t);
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"HandStateReceiver: Error invoking telemetry event: {e.Message}");
+        }
+    }
+
+    /// <summary>
+    /// 溜めの進み具合のエントリポイント（SendMessage('EmbeddedReceiver', 'OnEmbeddedChargeProgress', json)）。
+    /// </summary>
+    [Preserve]
+    public void OnEmbeddedChargeProgress(string json)
+    {
+        if (string.IsNullOrEmpty(json)) return;
+        ChargeProgressPayload p = null;
+        try { p = JsonUtility.FromJson<ChargeProgressPayload>(json); }
+        catch (Exception) { p = null; }
+        if (p == null) return;
+        Ack(p.ackId);
+
+        chargeProgress = Mathf.Clamp01(p.progress);
+        try
+        {
+            onChargeProgress?.Invoke(chargeProgress);
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"HandStateReceiver: Error invoking charge progress event: {e.Message}");
+        }
+    }
+
+    /// <summary>
+    /// パス・ジャンプ・フェイントのエントリポイント（SendMessage('EmbeddedReceiver', 'OnEmbeddedGesture', json)）。
+    /// </summary>
+    [Preserve]
+    public void OnEmbeddedGesture(string json)
+    {
+        if (string.IsNullOrEmpty(json)) return;
+        GesturePayload p = null;
+        try { p = JsonUtility.FromJson<GesturePayload>(json); }
+        catch (Exception) { p = null; }
+        if (p == null || string.IsNullOrEmpty(p.gesture)) return;
+        Ack(p.ackId);
+
+        lastGesture = p.gesture;
+        lastGestureDirection = p.direction ?? "";
+        lastGestureAzimuth = p.azimuth;
+        lastGestureHand = p.hand ?? "";
+        lastGestureTime = Time.unscaledTime;
+        try
+        {
+            onGesture?.Invoke(p.gesture, Mathf.Clamp01(p.confidence));
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"HandStateReceiver: Error invoking gesture event: {e.Message}");
+        }
+    }
+
+    /// <summary>
+    /// 手の見失い/再検出のエントリポイント（SendMessage('EmbeddedReceiver', 'OnEmbeddedHandPresence', json)）。
+    /// </summary>
+    [Preserve]
+    public void OnEmbeddedHandPresence(string json)
+    {
+        if (string.IsNullOrEmpty(json)) return;
+        HandPresencePayload p = null;
+        try { p = JsonUtility.FromJson<HandPresencePayload>(json); }
+        catch (Exception) { p = null; }
+        if (p == null) return;
+        Ack(p.ackId);
+
+        string hand = p.hand ?? "";
+        bool lost = p.type == "embedded_hand_lost";
+        if (lost) lostHands.Add(hand); else lostHands.Remove(hand);
+        // 片手なら "" の 1 つ、両手なら left / right の両方を見失ったときに非表示とみなす
+        bool wasVisible = handVisible;
+        handVisible = lostHands.Count == 0 || (hand != "" && lostHands.Count < 2);
+        if (lost) handLostTime = Time.unscaledTime;
+        try { Debug.Log($"HandStateReceiver: hand {(lost ? "lost" : "found")} hand={hand} visible={handVisible} (was {wasVisible})"); } catch { }
+
+        try
+        {
+            if (lost) onHandLost?.Invoke(hand);
+            else onHandFound?.Invoke(hand);
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"HandStateReceiver: Error invoking hand presence event: {e.Message}");
+        }
+    }
+
+    /// <summary>
+    /// カメラ状態のエントリポイント（SendMessage('EmbeddedReceiver', 'OnEmbeddedCamera', json)）。
+    /// </summary>
+    [Preserve]
+    public void OnEmbeddedCamera(string json)
+    {
+        if (string.IsNullOrEmpty(json)) return;
+        CameraStatusPayload p = null;
+        try { p = JsonUtility.FromJson<CameraStatusPayload>(json); }
+        catch (Exception) { p = null; }
+        if (p == null || string.IsNullOrEmpty(p.status)) return;
+
+        cameraStatus = p.status;
+        cameraReason = p.reason ?? "";
+        try { Debug.Log($"HandStateReceiver: camera {cameraStatus} reason={cameraReason} device={p.deviceId}"); } catch { }
+
+        try
+        {
+            onCameraStatus?.Invoke(cameraStatus, cameraReason);
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"HandStateReceiver: Error invoking camera status event: {e.Message}");
+        }
+    }
+
+    /// <summary>
+    /// 起動診断のエントリポイント（SendMessage('EmbeddedReceiver', 'OnEmbeddedDiagnostics', json)）。
+    /// </summary>
+    [Preserve]
+    public void OnEmbeddedDiagnostics(string json)
+    {
+        if (string.IsNullOrEmpty(json)) return;
+        DiagnosticsPayload p = null;
+        try { p = JsonUtility.FromJson<DiagnosticsPayload>(json); }
+        catch (Exception) { p = null; }
+        if (p == null) return;
+
+        startupOk = p.ok;
+        startupCode = p.code ?? "";
+        startupDurationMs = p.durationMs;
+        startupReportJson = p.report ?? "";
+        try { Debug.Log($"HandStateReceiver: startup {(startupOk ? "ok" : "failed")} code={startupCode} {startupDurationMs:F0}ms"); } catch { }
+
+        try
+        {
+            onStartupDiagnostics?.Invoke(startupOk, startupCode);
+        }
+        catch (Exception e)
+        {
+            Debug.LogError($"HandStateReceiver: Error invoking startup diagnostics event: {e.Message}");
+        }
+    }
+
     private Color ColorForState(string state)
     {
         if (string.IsNullOrEmpty(state)) return defaultColor;
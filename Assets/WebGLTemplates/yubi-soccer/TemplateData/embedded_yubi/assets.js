@@ -0,0 +1,177 @@
+// assets.js - 外部アセット（tasks-vision、wasm、手のモデル、three.js）の取得元とローカル優先ローダ
+// 取得元は ASSET_CFG.order の順に試し、取得元ごとのタイムアウトで次へ進む（CDN が遮断された環境で
+// 接続待ちのまま止まらないようにする）。メインスレッドと landmarker_worker.js の両方から使う。DOM には依存しない。
+//
+// 設定: ページの ?assets=local,jsdelivr（順序と使う取得元）/ ?assetTimeoutMs=3000（全取得元のタイムアウト）、
+// または読み込み前に window.YUBI_ASSET_CFG = { order, timeoutMs: { local, jsdelivr, ... } }。
+// Worker には WorkerHandDetector が init メッセージで ASSET_CFG を渡す。
+
+const TASKS_VISION = '@mediapipe/tasks-vision@0.10.11';
+const THREE_PKG = 'three@0.160.0';
+
+// 種類ごとの取得元。local はこのファイルからの相対パス
+export const ASSET_SOURCES = {
+  tasksVision: {
+    local: './vendor/mediapipe/vision_bundle.mjs',
+    jsdelivr: `https://cdn.jsdelivr.net/npm/${TASKS_VISION}/vision_bundle.mjs`,
+    unpkg: `https://unpkg.com/${TASKS_VISION}/vision_bundle.mjs`,
+  },
+  // wasm ローダと本体のディレクトリ（末尾スラッシュ付き）
+  wasm: {
+    local: './vendor/mediapipe/wasm/',
+    jsdelivr: `https://cdn.jsdelivr.net/npm/${TASKS_VISION}/wasm/`,
+    unpkg: `https://unpkg.com/${TASKS_VISION}/wasm/`,
+  },
+  model: {
+    local: './vendor/mediapipe/wasm/hand_landmarker.task',
+    // 公式 GCS の安定ミラー
+    gcs: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
+  },
+  three: {
+    local: './vendor/three/three.module.js',
+    jsdelivr: `https://cdn.jsdelivr.net/npm/${THREE_PKG}/build/three.module.js`,
+    unpkg: `https://unpkg.com/${THREE_PKG}/build/three.module.js`,
+  },
+};
+
+// wasm ディレクトリ内のファイル（SIMD 対応の有無で tasks-vision がどちらかを読む）
+export const WASM_FILES = [
+  'vision_wasm_internal.js',
+  'vision_wasm_internal.wasm',
+  'vision_wasm_nosimd_internal.js',
+  'vision_wasm_nosimd_internal.wasm',
+];
+
+export const ASSET_CFG = {
+  // 試す順序。ここに無い取得元は使わない
+  order: ['local', 'jsdelivr', 'unpkg', 'gcs'],
+  // 取得元ごとのタイムアウト（ミリ秒）。fetch は応答ヘッダが届くまで、import はモジュールの読み込み完了まで
+  timeoutMs: { local: 10000, jsdelivr: 5000, unpkg: 5000, gcs: 8000 },
+};
+
+// 実際に使えた URL（種類 → URL）。Service Worker の事前キャッシュ対象になる
+const resolved = {};
+// 試した取得元の記録 [{ kind, source, url, ok, error?, ms }]（起動診断用）
+const attempts = [];
+
+export function configureAssets({ order, timeoutMs } = {}) {
+  if (Array.isArray(order) && order.length) ASSET_CFG.order = order.slice();
+  if (typeof timeoutMs === 'number' && timeoutMs > 0) {
+    for (const k of Object.keys(ASSET_CFG.timeoutMs)) ASSET_CFG.timeoutMs[k] = timeoutMs;
+  } else if (timeoutMs && typeof timeoutMs === 'object') {
+    Object.assign(ASSET_CFG.timeoutMs, timeoutMs);
+  }
+  return ASSET_CFG;
+}
+
+// ページの設定（Worker 内では location がページのものではないので読まない）
+if (typeof document !== 'undefined') {
+  if (globalThis.YUBI_ASSET_CFG) configureAssets(globalThis.YUBI_ASSET_CFG);
+  const params = new URLSearchParams(location.search);
+  if (params.has('assets')) configureAssets({ order: params.get('assets').split(',').map((s) => s.trim()).filter(Boolean) });
+  if (params.has('assetTimeoutMs')) configureAssets({ timeoutMs: Number(params.get('assetTimeoutMs')) });
+}
+
+// kind の候補 [{ source, url, timeoutMs }] を ASSET_CFG.order の順に返す
+export function assetCandidates(kind, cfg = ASSET_CFG) {
+  const sources = ASSET_SOURCES[kind] || {};
+  const out = [];
+  for (const source of cfg.order) {
+    if (!sources[source]) continue;
+    const url = source === 'local' ? new URL(sources[source], import.meta.url).href : sources[source];
+    out.push({ source, url, timeoutMs: cfg.timeoutMs[source] ?? 5000 });
+  }
+  return out;
+}
+
+export function resolvedAssets() {
+  return { ...resolved };
+}
+
+export function assetAttempts() {
+  return attempts.slice();
+}
+
+function record(kind, source, url, t0, err) {
+  attempts.push({ kind, source, url, ok: !err, error: err ? String((err && err.message) || err) : undefined, ms: Math.round(performance.now() - t0) });
+}
+
+// すべての取得元で失敗したときの例外（assetKind でどの種類が取れなかったかを示す）
+function unavailable(kind, lastErr) {
+  const e = new Error(`${kind} unavailable: ${(lastErr && lastErr.message) || 'no source'}`);
+  e.assetKind = kind;
+  return e;
+}
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label}: timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// 候補を順に動的 import し、check を満たした最初のモジュールを返す
+export async function importFirst(kind, check = () => true) {
+  let lastErr;
+  for (const { source, url, timeoutMs } of assetCandidates(kind)) {
+    const t0 = performance.now();
+    try {
+      const mod = await withTimeout(import(url), timeoutMs, `${kind} (${source})`);
+      if (!check(mod)) throw new Error(`${kind} (${source}): unexpected module`);
+      resolved[kind] = url;
+      record(kind, source, url, t0);
+      return mod;
+    } catch (e) {
+      lastErr = e;
+      record(kind, source, url, t0, e);
+      console.warn('[Assets] failed to import', kind, 'from', source, e && e.message);
+    }
+  }
+  throw unavailable(kind, lastErr);
+}
+
+// 候補を順に fetch し、応答が ok だった最初のものを { source, url, response } で返す。
+// path は候補 URL に付け足す相対パス（wasm ディレクトリ内のファイルなど）
+export async function fetchFirst(kind, { path = '', init = {} } = {}) {
+  let lastErr;
+  for (const { source, url, timeoutMs } of assetCandidates(kind)) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+    const t0 = performance.now();
+    try {
+      const response = await fetch(url + path, { ...init, signal: ctrl.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      resolved[kind] = url;
+      record(kind, source, url, t0);
+      return { source, url, response };
+    } catch (e) {
+      // 中断はタイムアウトによるもの
+      lastErr = ctrl.signal.aborted ? new Error(`timed out after ${timeoutMs}ms`) : e;
+      record(kind, source, url, t0, lastErr);
+      console.warn('[Assets] failed to fetch', kind, 'from', source, lastErr.message);
+    } finally {
+      // タイムアウトは応答ヘッダまで（本体の読み込みは打ち切らない）
+      clearTimeout(timer);
+    }
+  }
+  throw unavailable(kind, lastErr);
+}
+
+// three.js（main.js と renderer.js で共有）
+let threePromise = null;
+export function loadThree() {
+  if (!threePromise) threePromise = importFirst('three', (m) => !!m.WebGLRenderer);
+  return threePromise;
+}
+
+// Service Worker に事前キャッシュさせる URL（実際に使えた取得元のもの）
+export function precacheUrls(extra = {}) {
+  const r = { ...resolved, ...extra };
+  const urls = [];
+  if (r.three) urls.push(r.three);
+  if (r.tasksVision) urls.push(r.tasksVision);
+  if (r.wasm) for (const f of WASM_FILES) urls.push(r.wasm + f);
+  if (r.model) urls.push(r.model);
+  return urls;
+}
@@ -0,0 +1,388 @@
+// calibration.js - プレイヤーごとの CHARGE / RUN しきい値キャリブレーション
+// 「手を開いて静止」「指を曲げてホールド」「指で走る」の 3 ステップで PIP 角と指先速度を測り、
+// その分布から charge.angleThresholdRad と run.minTipSpeedPxPerSec などを決めて名前付きプロファイルとして保存する。
+// 子どもと大人で指の柔らかさ・手の大きさ・カメラ距離が違っても同じ操作感になるようにするのが目的。
+import { diffSeries, rms, clamp } from './utils.js';
+import { GESTURE_CFG, measureFingerAngles, makeProjection } from './gesture.js';
+import { CONFIG_SCHEMA, validateConfig, getPath, setPath } from './config.js';
+
+export const CALIBRATION_FORMAT = 'yubi-calibration';
+export const CALIBRATION_VERSION = 1;
+export const CALIBRATION_KEY_PREFIX = 'yubiCalibV1';
+// 次回起動時に HandTracker が読み込むプロファイル名
+export const ACTIVE_CALIBRATION_KEY = 'yubiCalibActiveV1';
+
+export function calibrationKey(name) { return name ? `${CALIBRATION_KEY_PREFIX}:${name}` : CALIBRATION_KEY_PREFIX; }
+
+const CALIB_CFG = {
+  prepareSec: 2.0,  // 指示を出してから計測開始までの猶予
+  captureSec: { open: 2.0, bent: 2.0, run: 3.0 },
+  minFrames: 15,    // 各ステップに必要な最小フレーム数（手が見えていない場合はやり直し）
+  pollMs: 100,      // landmarksBuf から新しいフレームを回収する間隔
+  angleMargin: 0.05, // 開いた手と曲げた手の角度がこれ以上離れていないと区別できないとみなす（rad）
+};
+
+// 計測するステップ（順番どおりに実行）
+export const CALIBRATION_STEPS = ['open', 'bent', 'run'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function percentile(values, q) {
+  if (!values.length) return NaN;
+  const a = [...values].sort((x, y) => x - y);
+  const pos = clamp(q, 0, 1) * (a.length - 1);
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return a[lo] + (a[hi] - a[lo]) * (pos - lo);
+}
+
+// 人差し指/中指のうち深く曲がっている方の PIP 角（detectBend はどちらかが閾値未満で CHARGE）
+function bendAngle(lm) {
+  const ang = measureFingerAngles(lm);
+  return Math.min(ang.indexPip, ang.midPip);
+}
+
+// 各フレームを終端とする windowSec 窓の指先速度 RMS（classify の tipAmp と同じ量）
+export function windowTipAmps(frames, { windowSec, viewport, videoW = 0, videoH = 0 }) {
+  const project = makeProjection(viewport, videoW, videoH);
+  const out = [];
+  for (let i = 0; i < frames.length; i++) {
+    const win = frames.filter((e, j) => j <= i && frames[i].t - e.t <= windowSec);
+    if (win.length < 4) continue;
+    const time = win.map((e) => e.t);
+    const speeds = [];
+    for (const idx of [8, 12]) {
+      const pts = win.map((e) => project(e.lm[idx]));
+      const vx = diffSeries(time, pts.map((p) => p.x));
+      const vy = diffSeries(time, pts.map((p) => p.y));
+      for (let k = 0; k < vx.length; k++) speeds.push(Math.hypot(vx[k], vy[k]));
+    }
+    out.push(rms(speeds));
+  }
+  return out;
+}
+
+function clampToSchema(key, v) {
+  const rule = CONFIG_SCHEMA[key];
+  return rule ? clamp(v, rule.min, rule.max) : v;
+}
+
+// 計測結果からしきい値を求める。captures: { open, bent, run } 各 [{ t, lm }]
+// geom: 計測時の { videoW, videoH }。区別できない計測だった場合は例外（code 付き）を投げる
+export function computeCalibration(captures, { cfg = GESTURE_CFG, geom = {}, margin = CALIB_CFG.angleMargin } = {}) {
+  for (const step of CALIBRATION_STEPS) {
+    if (!captures[step] || captures[step].length < 4) throw Object.assign(new Error(`not enough frames: ${step}`), { code: 'not_enough_frames', step });
+  }
+  // CHARGE: 開いた手の下側 10% と曲げた手の上側 10% の中間
+  const openAngles = captures.open.map((e) => bendAngle(e.lm));
+  const bentAngles = captures.bent.map((e) => bendAngle(e.lm));
+  const openLow = percentile(openAngles, 0.1);
+  const bentHigh = percentile(bentAngles, 0.9);
+  if (bentHigh + margin >= openLow) throw Object.assign(new Error('bent and open poses overlap'), { code: 'angles_overlap' });
+  const angleTh = (openLow + bentHigh) / 2;
+  // anyBend は既定値と同じ差を保つ
+  const anyBendOffset = cfg.charge.anyBendAngleRad - cfg.charge.angleThresholdRad;
+
+  // RUN: runConf = (tipAmp - th) / th がヒステリシス on を超えるのは tipAmp >= th * (1 + on)。
+  // 走っている窓の下側 25% で on に届き、静止時の上側 10% では off を超えない範囲の中間を取る
+  const ampOpts = { windowSec: cfg.windowSec, viewport: cfg.referenceViewport || GESTURE_CFG.referenceViewport, videoW: geom.videoW, videoH: geom.videoH };
+  const restAmps = windowTipAmps(captures.open, ampOpts);
+  const runAmps = windowTipAmps(captures.run, ampOpts);
+  const restHigh = percentile(restAmps, 0.9) || 0;
+  const runLow = percentile(runAmps, 0.25);
+  const thMax = runLow / (1 + cfg.hysteresis.on);
+  const thMin = restHigh / (1 + cfg.hysteresis.off);
+  if (!(thMax > thMin)) throw Object.assign(new Error('running is not faster than resting'), { code: 'run_too_slow' });
+  const runTh = (thMin + thMax) / 2;
+  const offRatio = cfg.run.immediateOffThreshold / cfg.run.minTipSpeedPxPerSec;
+
+  const values = {
+    'charge.angleThresholdRad': clampToSchema('charge.angleThresholdRad', angleTh),
+    'charge.anyBendAngleRad': clampToSchema('charge.anyBendAngleRad', angleTh + anyBendOffset),
+    'run.minTipSpeedPxPerSec': clampToSchema('run.minTipSpeedPxPerSec', runTh),
+    'run.immediateOffThreshold': clampToSchema('run.immediateOffThreshold', runTh * offRatio),
+  };
+  const stats = {
+    frames: { open: captures.open.length, bent: captures.bent.length, run: captures.run.length },
+    openAngleP10: openLow,
+    bentAngleP90: bentHigh,
+    restAmpP90: restHigh,
+    runAmpP25: runLow,
+  };
+  return { values, stats };
+}
+
+// しきい値をジェスチャ設定へ反映する。反映前の値を返すので previous を渡せば元に戻せる
+export function applyCalibration(cfg, values) {
+  const { values: valid, errors } = validateConfig(values);
+  const previous = {};
+  for (const [key, v] of Object.entries(valid)) {
+    previous[key] = getPath(cfg, key);
+    setPath(cfg, key, v);
+  }
+  if (errors.length) console.warn('[Calibration] ignored values', errors);
+  return { applied: Object.keys(valid), errors, previous };
+}
+
+export function makeCalibrationProfile(name, { values, stats }) {
+  return {
+    format: CALIBRATION_FORMAT,
+    version: CALIBRATION_VERSION,
+    name: name || '',
+    createdAt: new Date().toISOString(),
+    values,
+    stats,
+  };
+}
+
+export function saveCalibrationProfile(profile, { activate = true } = {}) {
+  const key = calibrationKey(profile.name);
+  localStorage.setItem(key, JSON.stringify(profile));
+  if (activate) setActiveCalibrationName(profile.name);
+  return key;
+}
+
+// 保存済みプロファイルを読み込む（無い/形式違いなら null）
+export function loadCalibrationProfile(name) {
+  try {
+    const obj = JSON.parse(localStorage.getItem(calibrationKey(name)) || 'null');
+    if (!obj || obj.format !== CALIBRATION_FORMAT || obj.version !== CALIBRATION_VERSION) return null;
+    return obj;
+  } catch (e) {
+    return null;
+  }
+}
+
+// 保存済みプロファイル名の一覧（無名プロファイルは '' として含める）
+export function listCalibrationProfiles() {
+  const out = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const k = localStorage.key(i);
+      if (k === CALIBRATION_KEY_PREFIX) out.push('');
+      else if (k && k.startsWith(CALIBRATION_KEY_PREFIX + ':')) out.push(k.slice(CALIBRATION_KEY_PREFIX.length + 1));
+    }
+  } catch { /* localStorage 不可 */ }
+  return out.sort();
+}
+
+export function getActiveCalibrationName() {
+  try { return localStorage.getItem(ACTIVE_CALIBRATION_KEY); } catch (e) { return null; }
+}
+
+export function setActiveCalibrationName(name) {
+  try {
+    if (name == null) localStorage.removeItem(ACTIVE_CALIBRATION_KEY);
+    else localStorage.setItem(ACTIVE_CALIBRATION_KEY, name);
+  } catch (e) { /* ignore */ }
+}
+
+export class CalibrationSession {
+  constructor({ tracker, cfg = CALIB_CFG } = {}) {
+    this.tracker = tracker;
+    this.cfg = cfg;
+    this.captures = {};
+    this.result = null;
+    this.busy = false;
+  }
+
+  // landmarksBuf に新しく積まれたフレームを sec 秒間集める（バッファ長より長く計測できるように逐次回収する）。
+  // 開始時点でバッファにあるフレーム（準備中の姿勢や前のステップ）は使わない。
+  // 見失い中に外挿したフレーム（predicted）は実測ではないので使わない
+  async collect(sec) {
+    const frames = [];
+    const buffered = this.tracker.landmarksBuf.toArray();
+    let lastT = buffered.length ? buffered[buffered.length - 1].t : -Infinity;
+    const end = performance.now() + sec * 1000;
+    while (performance.now() < end && this.busy) {
+      await sleep(this.cfg.pollMs);
+      for (const e of this.tracker.landmarksBuf.toArray()) {
+        if (e.t > lastT) { if (!e.predicted) frames.push(e); lastT = e.t; }
+      }
+    }
+    return frames;
+  }
+
+  // 1 ステップ計測する。onPhase(phase, step) で UI に段階を通知。十分なフレームが取れたら true
+  async captureStep(step, onPhase = () => {}) {
+    onPhase('prepare', step);
+    await sleep(this.cfg.prepareSec * 1000);
+    if (!this.busy) return false;
+    onPhase('capture', step);
+    const frames = await this.collect(this.cfg.captureSec[step]);
+    if (frames.length < this.cfg.minFrames) { onPhase('rejected', step); return false; }
+    this.captures[step] = frames;
+    onPhase('accepted', step);
+    return true;
+  }
+
+  // 全ステップを計測してしきい値を計算する。途中で失敗したら null
+  async run(onPhase) {
+    // しきい値は左右共通で、どちらの手で計測するかを決められないので両手モードでは計測しない
+    if (this.tracker.twoHands) throw Object.assign(new Error('calibration requires one-hand mode'), { code: 'two_hands' });
+    if (this.busy) return null;
+    this.busy = true;
+    this.captures = {};
+    this.result = null;
+    try {
+      for (const step of CALIBRATION_STEPS) {
+        if (!await this.captureStep(step, onPhase)) return null;
+      }
+      this.result = computeCalibration(this.captures, { geom: this.tracker.frameGeom });
+      return this.result;
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  cancel() { this.busy = false; }
+
+  save(name) {
+    if (!this.result) throw new Error('先にキャリブレーションを実行してください');
+    const profile = makeCalibrationProfile(name, this.result);
+    return { key: saveCalibrationProfile(profile), profile };
+  }
+}
+
+const STEP_TEXT = {
+  open: '手をカメラに向けて開き、動かさないで',
+  bent: '人差し指と中指を曲げたまま止めて',
+  run: '指で走って（人差し指と中指を交互に）',
+};
+
+const PROMPT_TEXT = {
+  prepare: (step) => `準備… 次は「${STEP_TEXT[step]}」`,
+  capture: (step) => STEP_TEXT[step],
+  accepted: () => '計測しました',
+  rejected: () => '手が見えませんでした。もう一度やり直してください',
+};
+
+const ERROR_TEXT = {
+  angles_overlap: '開いた手と曲げた指の区別がつきませんでした。指をもっと深く曲げてやり直してください',
+  run_too_slow: '走る動きが静止時と区別できませんでした。もっと大きく速く指を動かしてやり直してください',
+  not_enough_frames: '手が見えていない時間が長すぎました',
+  two_hands: '両手モードではキャリブレーションできません。片手モード（hands=2 を外す）で計測してください',
+};
+
+// 埋め込みページ上に重ねるキャリブレーション UI。計測後は結果をその場で適用してライブで試せる
+export class CalibrationWizard {
+  constructor({ tracker, parent = document.getElementById('app') || document.body }) {
+    this.tracker = tracker;
+    this.session = new CalibrationSession({ tracker });
+    this.parent = parent;
+    this.root = null;
+    // プレビュー中に上書きした設定値（閉じる/やり直し時に戻す）
+    this.previewPrevious = null;
+    this.rafId = 0;
+  }
+
+  open() {
+    if (!this.root) this.build();
+    this.root.style.display = 'flex';
+    this.startPreviewLoop();
+  }
+
+  // 保存せずに閉じた場合はプレビュー中の値を元に戻す
+  close() {
+    this.session.cancel();
+    this.revertPreview();
+    if (this.rafId) cancelAnimationFrame(this.rafId);
+    this.rafId = 0;
+    if (this.root) this.root.style.display = 'none';
+  }
+
+  build() {
+    const root = document.createElement('div');
+    root.id = 'calibrationWizard';
+    root.style.cssText = 'position:absolute; inset:0; z-index:6; display:none; flex-direction:column; justify-content:space-between; pointer-events:none; font-size:13px;';
+    root.innerHTML = `
+      <div id="calibPrompt" style="align-self:center; margin-top:12px; padding:6px 12px; border-radius:8px; background:rgba(0,0,0,0.55); font-size:18px; font-weight:700; min-height:1.2em;"></div>
+      <div style="pointer-events:auto; background:rgba(16,16,16,0.85); border-top:1px solid rgba(255,255,255,0.15); padding:8px; display:flex; flex-direction:column; gap:6px;">
+        <div style="display:flex; justify-content:space-between; align-items:center;">
+          <b>キャリブレーション</b>
+          <span id="calibActive"></span>
+        </div>
+        <div id="calibLive" style="font-family:monospace; white-space:pre; opacity:0.9;"></div>
+        <div style="display:flex; flex-wrap:wrap; gap:6px; align-items:center;">
+          <button data-act="run">計測開始</button>
+          <input id="calibName" placeholder="プロファイル名 (例: taro)" style="width:11em; padding:2px 4px; background:#111; color:#fff; border:1px solid rgba(255,255,255,0.2); border-radius:4px;">
+          <button data-act="save">保存</button>
+          <button data-act="close">閉じる</button>
+        </div>
+        <div id="calibReport" style="opacity:0.85;"></div>
+      </div>`;
+    root.addEventListener('click', (e) => {
+      const act = e.target && e.target.dataset ? e.target.dataset.act : null;
+      if (act) this.handle(act);
+    });
+    this.parent.appendChild(root);
+    this.root = root;
+    this.promptEl = root.querySelector('#calibPrompt');
+    this.activeEl = root.querySelector('#calibActive');
+    this.liveEl = root.querySelector('#calibLive');
+    this.reportEl = root.querySelector('#calibReport');
+    this.nameEl = root.querySelector('#calibName');
+    const active = this.tracker.calibration;
+    this.activeEl.textContent = active ? `使用中: ${active.name || '(無名)'}` : '使用中: 既定値';
+  }
+
+  async handle(act) {
+    const s = this.session;
+    const onPhase = (phase, step) => {
+      this.promptEl.textContent = PROMPT_TEXT[phase](step);
+      this.promptEl.style.color = phase === 'capture' ? '#ff6' : '#fff';
+    };
+    try {
+      if (act === 'run') {
+        // 計測は既定（または保存済み）の値で行う
+        this.revertPreview();
+        this.reportEl.textContent = '';
+        const r = await s.run(onPhase);
+        if (!r) return;
+        this.previewPrevious = applyCalibration(this.tracker.gestureCfg, r.values).previous;
+        this.promptEl.textContent = '計測した値で判定中です。試してから保存してください';
+        this.promptEl.style.color = '#fff';
+        this.reportEl.textContent = `角度 開 ${r.stats.openAngleP10.toFixed(2)} / 曲 ${r.stats.bentAngleP90.toFixed(2)} rad, 速度 静止 ${r.stats.restAmpP90.toFixed(0)} / 走 ${r.stats.runAmpP25.toFixed(0)} px/s`;
+      }
+      else if (act === 'save') {
+        const { key, profile } = s.save(this.nameEl.value.trim());
+        // 保存した値はそのまま使い続ける
+        this.previewPrevious = null;
+        this.tracker.setCalibration(profile);
+        this.activeEl.textContent = `使用中: ${profile.name || '(無名)'}`;
+        this.reportEl.textContent = `保存しました: ${key}（次回起動時にも読み込みます）`;
+      }
+      else if (act === 'close') this.close();
+    } catch (e) {
+      console.warn('[Calibration]', e);
+      this.promptEl.textContent = '';
+      this.reportEl.textContent = ERROR_TEXT[e && e.code] || (e && e.message ? e.message : String(e));
+    }
+  }
+
+  revertPreview() {
+    if (!this.previewPrevious) return;
+    applyCalibration(this.tracker.gestureCfg, this.previewPrevious);
+    this.previewPrevious = null;
+  }
+
+  // 現在の指の角度・速度としきい値、判定結果を表示する
+  startPreviewLoop() {
+    if (this.rafId) return;
+    const tick = () => {
+      this.rafId = requestAnimationFrame(tick);
+      const cfg = this.tracker.gestureCfg;
+      const buf = this.tracker.landmarksBuf.toArray();
+      const last = buf[buf.length - 1];
+      const angle = last ? bendAngle(last.lm) : NaN;
+      const amps = buf.length ? windowTipAmps(buf.slice(-Math.min(buf.length, 30)), {
+        windowSec: cfg.windowSec, viewport: cfg.referenceViewport, videoW: this.tracker.frameGeom.videoW, videoH: this.tracker.frameGeom.videoH,
+      }) : [];
+      const amp = amps.length ? amps[amps.length - 1] : NaN;
+      this.liveEl.textContent =
+        `状態  ${this.tracker.state.padEnd(6)}\n` +
+        `指角  ${isNaN(angle) ? '-' : angle.toFixed(2)} rad  (CHARGE < ${cfg.charge.angleThresholdRad.toFixed(2)})\n` +
+        `速度  ${isNaN(amp) ? '-' : amp.toFixed(0)} px/s  (RUN >= ${(cfg.run.minTipSpeedPxPerSec * (1 + cfg.hysteresis.on)).toFixed(0)})`;
+    };
+    this.rafId = requestAnimationFrame(tick);
+  }
+}
@@ -0,0 +1,210 @@
+// camera.js - カメラストリームのライフサイクル（開始・停止・切り替え・自動復旧）
+// getUserMedia のストリームを 1 本だけ保持し、トラックの終了（抜線・OS による停止）や
+// devicechange を監視して、同じカメラ→別のカメラの順に開き直す。状態の変化は onStatus で通知する。
+
+export const CAMERA_CFG = {
+  // 自動復旧の再試行間隔（ミリ秒）。使い切ったら error（reason: 'recover_failed'）
+  recoverDelaysMs: [500, 1000, 2000, 4000, 8000],
+};
+
+// getUserMedia の例外を理由コードにする
+export function cameraErrorReason(err) {
+  if (err && err.reason) return err.reason;
+  switch (err && err.name) {
+    case 'NotAllowedError':
+    case 'SecurityError': return 'permission_denied';
+    case 'NotFoundError':
+    case 'OverconstrainedError': return 'not_found';
+    case 'NotReadableError':
+    case 'AbortError': return 'in_use';
+    default: return 'unknown';
+  }
+}
+
+function cameraError(reason, message) {
+  const e = new Error(message);
+  e.reason = reason;
+  return e;
+}
+
+export class CameraController {
+  // onStatus(status, { reason?, deviceId? }): 'ready' / 'ending' / 'error' / 'switched'
+  constructor({ video, cfg = CAMERA_CFG, onStatus = () => {} }) {
+    this.video = video;
+    this.cfg = cfg;
+    this.onStatus = onStatus;
+    this.stream = null;
+    this.deviceId = null;
+    // ユーザ/ホストが要求したカメラ（復旧時にまず開き直す）
+    this.requestedDeviceId = null;
+    this.recovering = false;
+    this.recoverTimer = null;
+    // 要求外で止まって、まだ開き直せていない（復旧を諦めた後も、カメラが現れたら再び試す）
+    this.lost = false;
+    this.onTrackEnded = () => this.handleLoss('track_ended');
+    this.onDeviceChange = () => this.checkDevices();
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', this.onDeviceChange);
+    }
+  }
+
+  get active() {
+    return !!this.stream && this.stream.getVideoTracks().some((t) => t.readyState === 'live');
+  }
+
+  // deviceId（null なら前面カメラ）を開く。新しいストリームが取れてから今のストリームを閉じる。
+  // 失敗したら reason 付きの例外（今のストリームはそのまま残る）
+  async open(deviceId = null, { facingMode = 'user' } = {}) {
+    if (location.protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(location.hostname)) {
+      throw cameraError('insecure_context', 'このページは HTTPS で提供されていないため、カメラにアクセスできません。公開URL(HTTPS)で開いてください。');
+    }
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      throw cameraError('unsupported', 'このブラウザはカメラ API に対応していません。');
+    }
+    this.cancelRecover();
+    const constraints = deviceId ? { video: { deviceId: { exact: deviceId } }, audio: false } : { video: { facingMode }, audio: false };
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(constraints);
+    } catch (err) {
+      // 端末によってはカメラを 2 本同時に開けないので、今のストリームを閉じてもう一度だけ試す
+      if (!this.stream || cameraErrorReason(err) !== 'in_use') throw err;
+      this.release();
+      try {
+        stream = await navigator.mediaDevices.getUserMedia(constraints);
+      } catch (retryErr) {
+        // 前のカメラは閉じてしまったので、自動復旧で開き直す（requestedDeviceId は前のまま）
+        this.lost = true;
+        this.recovering = true;
+        this.recover(0);
+        throw retryErr;
+      }
+    }
+    this.release();
+    this.lost = false;
+    this.attach(stream);
+    this.requestedDeviceId = deviceId;
+    await this.video.play();
+    return this.deviceId;
+  }
+
+  attach(stream) {
+    this.stream = stream;
+    const track = stream.getVideoTracks()[0];
+    this.deviceId = (track && track.getSettings && track.getSettings().deviceId) || null;
+    if (track) track.addEventListener('ended', this.onTrackEnded);
+    this.video.srcObject = stream;
+  }
+
+  // トラックを止めて video から外す（イベントは出さない）
+  release() {
+    if (!this.stream) return;
+    for (const t of this.stream.getTracks()) {
+      t.removeEventListener('ended', this.onTrackEnded);
+      t.stop();
+    }
+    this.stream = null;
+    this.video.srcObject = null;
+  }
+
+  // 要求による停止。自動復旧はしない
+  stop(reason = 'requested') {
+    this.cancelRecover();
+    this.lost = false;
+    const wasActive = !!this.stream;
+    this.release();
+    this.requestedDeviceId = null;
+    if (wasActive) this.onStatus('ending', { reason });
+  }
+
+  // 別のカメラへ切り替える。deviceId 省略時は facingMode、どちらも無ければ次のカメラへ順送り
+  async switchTo({ deviceId = null, facingMode = null } = {}) {
+    let target = deviceId;
+    if (!target && !facingMode) {
+      const cams = await this.listCameras();
+      if (cams.length > 1) {
+        const i = cams.findIndex((d) => d.deviceId === this.deviceId);
+        target = cams[(i + 1) % cams.length].deviceId;
+      } else {
+        target = this.deviceId;
+      }
+    }
+    const prev = this.deviceId;
+    await this.open(target, { facingMode: facingMode || 'user' });
+    this.onStatus('switched', { deviceId: this.deviceId, reason: prev === this.deviceId ? 'same_device' : 'requested' });
+    return this.deviceId;
+  }
+
+  async listCameras() {
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.filter((d) => d.kind === 'videoinput');
+    } catch (_) {
+      return [];
+    }
+  }
+
+  // 使用中のカメラが一覧から消えたら喪失として扱い、喪失中にカメラが現れたら復旧する
+  async checkDevices() {
+    const cams = await this.listCameras();
+    if (this.stream) {
+      if (this.deviceId && cams.length && !cams.some((d) => d.deviceId === this.deviceId)) this.handleLoss('device_removed');
+    } else if (this.lost && cams.length) {
+      // 待たずにすぐ試す
+      this.cancelRecover();
+      this.recovering = true;
+      this.recover(0);
+    }
+  }
+
+  // ストリームが要求外で終わった: ending を通知して復旧を始める
+  handleLoss(reason) {
+    if (!this.stream) return;
+    this.release();
+    this.onStatus('ending', { reason });
+    this.lost = true;
+    this.recovering = true;
+    this.recover(0);
+  }
+
+  // 同じカメラ→既定の前面カメラの順に開き直す。成功したら ready（別カメラになったら switched）
+  recover(attempt) {
+    const delays = this.cfg.recoverDelaysMs;
+    if (attempt >= delays.length) {
+      this.recovering = false;
+      this.onStatus('error', { reason: 'recover_failed' });
+      return;
+    }
+    this.recoverTimer = setTimeout(async () => {
+      this.recoverTimer = null;
+      const wanted = this.requestedDeviceId;
+      for (const id of wanted ? [wanted, null] : [null]) {
+        try {
+          const stream = await navigator.mediaDevices.getUserMedia(id ? { video: { deviceId: { exact: id } }, audio: false } : { video: { facingMode: 'user' }, audio: false });
+          if (!this.recovering) { stream.getTracks().forEach((t) => t.stop()); return; }
+          this.attach(stream);
+          await this.video.play();
+          this.recovering = false;
+          this.lost = false;
+          if (wanted && this.deviceId !== wanted) this.onStatus('switched', { deviceId: this.deviceId, reason: 'fallback' });
+          else this.onStatus('ready', { deviceId: this.deviceId, reason: 'recovered' });
+          return;
+        } catch (_) { /* 次の候補 */ }
+      }
+      if (this.recovering) this.recover(attempt + 1);
+    }, delays[attempt]);
+  }
+
+  cancelRecover() {
+    if (this.recoverTimer) clearTimeout(this.recoverTimer);
+    this.recoverTimer = null;
+    this.recovering = false;
+  }
+
+  dispose() {
+    this.stop();
+    if (navigator.mediaDevices && navigator.mediaDevices.removeEventListener) {
+      navigator.mediaDevices.removeEventListener('devicechange', this.onDeviceChange);
+    }
+  }
+}
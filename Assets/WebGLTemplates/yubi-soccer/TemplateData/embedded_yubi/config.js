@@ -0,0 +1,218 @@
+// config.js - 実行時設定（しきい値チューニング）の検証・適用・保存
+// 親ページから get_config / set_config で読み書きされる値を、スキーマで検証してから
+// GESTURE_CFG（分類器）と HandTracker のインスタンス値へ反映し、localStorage に保存する。
+
+export const CONFIG_STORAGE_KEY = 'yubiConfigV1';
+
+// キーはドット区切りのパス。target: 'gesture' は GESTURE_CFG、'tracker' は HandTracker のプロパティ
+export const CONFIG_SCHEMA = {
+  'windowSec': { type: 'number', min: 0.2, max: 3, target: 'gesture' },
+  'staleSec': { type: 'number', min: 0.05, max: 2, target: 'gesture' },
+  'debounceSec': { type: 'number', min: 0, max: 2, target: 'gesture' },
+  'hysteresis.on': { type: 'number', min: 0, max: 1, target: 'gesture' },
+  'hysteresis.off': { type: 'number', min: 0, max: 1, target: 'gesture' },
+  'run.minTipSpeedPxPerSec': { type: 'number', min: 1, max: 5000, target: 'gesture' },
+  'run.immediateOffThreshold': { type: 'number', min: 0, max: 5000, target: 'gesture' },
+  'charge.angleThresholdRad': { type: 'number', min: 0.5, max: Math.PI, target: 'gesture' },
+  'charge.anyBendAngleRad': { type: 'number', min: 0.5, max: Math.PI, target: 'gesture' },
+  'charge.holdSec': { type: 'number', min: 0, max: 3, target: 'gesture' },
+  'kick.mode': { type: 'enum', values: ['charge', 'flick', 'both'], target: 'gesture' },
+  'kick.power.fullChargeSec': { type: 'number', min: 0.1, max: 5, target: 'gesture' },
+  'kick.power.depthWeight': { type: 'number', min: 0, max: 1, target: 'gesture' },
+  'kick.power.curve': { type: 'number', min: 0.2, max: 5, target: 'gesture' },
+  'kick.power.minPower': { type: 'number', min: 0, max: 1, target: 'gesture' },
+  'kick.power.maxPower': { type: 'number', min: 0, max: 1, target: 'gesture' },
+  'kick.direction.minSpeedPxPerSec': { type: 'number', min: 0, max: 5000, target: 'gesture' },
+  'kick.direction.maxAzimuthRad': { type: 'number', min: 0, max: 1.5, target: 'gesture' },
+  'kick.direction.minLoftRad': { type: 'number', min: 0, max: 1.5, target: 'gesture' },
+  'kick.direction.maxLoftRad': { type: 'number', min: 0, max: 1.5, target: 'gesture' },
+  'pass.minTipSpeedPxPerSec': { type: 'number', min: 1, max: 5000, target: 'gesture' },
+  'pass.minHorizontalRatio': { type: 'number', min: 0, max: 10, target: 'gesture' },
+  'pass.debounceSec': { type: 'number', min: 0, max: 3, target: 'gesture' },
+  'jump.minSpeedPxPerSec': { type: 'number', min: 1, max: 5000, target: 'gesture' },
+  'jump.minVerticalRatio': { type: 'number', min: 0, max: 10, target: 'gesture' },
+  'jump.debounceSec': { type: 'number', min: 0, max: 3, target: 'gesture' },
+  'feint.minTipSpeedPxPerSec': { type: 'number', min: 1, max: 5000, target: 'gesture' },
+  'feint.debounceSec': { type: 'number', min: 0, max: 3, target: 'gesture' },
+  'tracking.graceSec': { type: 'number', min: 0, max: 1, target: 'gesture' },
+  'tracking.velocityDecaySec': { type: 'number', min: 0.01, max: 1, target: 'gesture' },
+  'filter.enabled': { type: 'boolean', target: 'gesture' },
+  'filter.minCutoff': { type: 'number', min: 0.01, max: 30, target: 'gesture' },
+  'filter.beta': { type: 'number', min: 0, max: 100, target: 'gesture' },
+  'filter.dCutoff': { type: 'number', min: 0.01, max: 30, target: 'gesture' },
+  'detectIntervalMs': { type: 'number', min: 10, max: 500, target: 'tracker' },
+  'sceneSmoothFactor': { type: 'number', min: 0, max: 1, target: 'tracker' },
+  'drawFilter.enabled': { type: 'boolean', target: 'tracker' },
+  'drawFilter.minCutoff': { type: 'number', min: 0.01, max: 30, target: 'tracker' },
+  'drawFilter.beta': { type: 'number', min: 0, max: 100, target: 'tracker' },
+  'drawFilter.dCutoff': { type: 'number', min: 0.01, max: 30, target: 'tracker' },
+};
+
+// 大小関係のあるキーの組。どちらかを変えるときに検証し、違反したら組の両方とも反映しない
+// strict: true なら low < high、false なら low <= high
+const CONFIG_PAIRS = [
+  { key: 'hysteresis', low: 'hysteresis.off', high: 'hysteresis.on', strict: true, reason: 'off_must_be_below_on' },
+  { key: 'kick.power', low: 'kick.power.minPower', high: 'kick.power.maxPower', strict: false, reason: 'min_must_not_exceed_max' },
+  { key: 'kick.direction.loft', low: 'kick.direction.minLoftRad', high: 'kick.direction.maxLoftRad', strict: true, reason: 'min_must_be_below_max' },
+];
+
+export function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+export function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let o = obj;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (o[keys[i]] == null || typeof o[keys[i]] !== 'object') o[keys[i]] = {};
+    o = o[keys[i]];
+  }
+  o[keys[keys.length - 1]] = value;
+}
+
+// { run: { minTipSpeedPxPerSec: 80 } } と { 'run.minTipSpeedPxPerSec': 80 } のどちらも受け付けて平坦化
+export function flattenConfig(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v) && !(key in CONFIG_SCHEMA)) flattenConfig(v, key, out);
+    else out[key] = v;
+  }
+  return out;
+}
+
+// 値をスキーマで検証する。current は検証済み値のマージ元（CONFIG_PAIRS の相互チェック用）
+export function validateConfig(patch, current = {}) {
+  const flat = flattenConfig(patch);
+  const values = {};
+  const errors = [];
+  for (const [key, v] of Object.entries(flat)) {
+    const rule = CONFIG_SCHEMA[key];
+    if (!rule) { errors.push({ key, reason: 'unknown_key' }); continue; }
+    if (rule.type === 'number') {
+      if (typeof v !== 'number' || !isFinite(v)) { errors.push({ key, reason: 'not_a_number' }); continue; }
+      if (v < rule.min || v > rule.max) { errors.push({ key, reason: 'out_of_range', min: rule.min, max: rule.max }); continue; }
+    } else if (rule.type === 'boolean') {
+      if (typeof v !== 'boolean') { errors.push({ key, reason: 'not_a_boolean' }); continue; }
+    } else if (rule.type === 'enum') {
+      if (!rule.values.includes(v)) { errors.push({ key, reason: 'invalid_value', values: rule.values }); continue; }
+    }
+    values[key] = v;
+  }
+  const merged = { ...current, ...values };
+  for (const { key, low, high, strict, reason } of CONFIG_PAIRS) {
+    if (!(low in values || high in values)) continue;
+    const lo = merged[low];
+    const hi = merged[high];
+    if (strict ? lo >= hi : lo > hi) {
+      errors.push({ key, reason });
+      delete values[low];
+      delete values[high];
+    }
+  }
+  return { values, errors };
+}
+
+export class RuntimeConfig {
+  constructor({ gestureCfg, storageKey = CONFIG_STORAGE_KEY }) {
+    this.gestureCfg = gestureCfg;
+    this.storageKey = storageKey;
+    this.tracker = null;
+    // tracker 接続前に受け取った tracker 側の値
+    this.trackerValues = {};
+    // 既定値。キャリブレーションの値はここに取り込む（setCalibration）
+    this.defaults = {};
+    // set_config・保存済みの値（既定値との差分）。キャリブレーションより優先する
+    this.overrides = {};
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+      if (rule.target === 'gesture') this.defaults[key] = getPath(gestureCfg, key);
+    }
+  }
+
+  // HandTracker に接続し、保留中の tracker 側の値を反映する
+  attach(tracker) {
+    this.tracker = tracker;
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+      if (rule.target === 'tracker' && !(key in this.defaults)) this.defaults[key] = getPath(tracker, key);
+    }
+    this.apply(this.trackerValues);
+    if (tracker.calibration) this.setCalibration(tracker.calibration.values);
+    tracker.addEventListener('calibration', ({ detail }) => this.setCalibration(detail.values));
+  }
+
+  // キャリブレーションの値を既定値として取り込む。set_config で上書き済みのキーは上書きした値のまま
+  setCalibration(values) {
+    const { values: valid } = validateConfig(values);
+    const layered = {};
+    for (const [key, v] of Object.entries(valid)) {
+      this.defaults[key] = v;
+      layered[key] = key in this.overrides ? this.overrides[key] : v;
+    }
+    this.apply(layered);
+  }
+
+  // 実効値を平坦なマップで返す
+  getFlat() {
+    const out = {};
+    for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+      if (rule.target === 'gesture') out[key] = getPath(this.gestureCfg, key);
+      else out[key] = this.tracker ? getPath(this.tracker, key) : (key in this.trackerValues ? this.trackerValues[key] : this.defaults[key]);
+    }
+    return out;
+  }
+
+  // 実効値をネストしたオブジェクトで返す
+  get() {
+    const out = {};
+    for (const [key, v] of Object.entries(this.getFlat())) setPath(out, key, v);
+    return out;
+  }
+
+  apply(values) {
+    for (const [key, v] of Object.entries(values)) {
+      const rule = CONFIG_SCHEMA[key];
+      if (rule.target === 'gesture') setPath(this.gestureCfg, key, v);
+      else if (this.tracker) setPath(this.tracker, key, v);
+      else this.trackerValues[key] = v;
+    }
+  }
+
+  // 検証して反映する。persist=true なら既定値との差分を localStorage に保存
+  set(patch, { persist = true } = {}) {
+    const { values, errors } = validateConfig(patch, this.getFlat());
+    this.apply(values);
+    for (const [key, v] of Object.entries(values)) {
+      if (v === this.defaults[key]) delete this.overrides[key];
+      else this.overrides[key] = v;
+    }
+    if (persist && Object.keys(values).length) this.save();
+    return { config: this.get(), applied: Object.keys(values), errors };
+  }
+
+  // 上書きした値だけを保存する（キャリブレーションやプレビュー中の値は保存しない）
+  save() {
+    const diff = {};
+    for (const [key, v] of Object.entries(this.overrides)) if (v !== undefined && v !== this.defaults[key]) diff[key] = v;
+    try { localStorage.setItem(this.storageKey, JSON.stringify(diff)); } catch (e) { console.warn('[RuntimeConfig] save failed', e); }
+  }
+
+  // 保存済みの値を読み込んで反映する（不正な値は捨てる）
+  load() {
+    let stored = null;
+    try { stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null'); } catch (e) { stored = null; }
+    if (!stored) return { applied: [], errors: [] };
+    const { values, errors } = validateConfig(stored, this.getFlat());
+    this.apply(values);
+    Object.assign(this.overrides, values);
+    if (errors.length) console.warn('[RuntimeConfig] ignored stored values', errors);
+    return { applied: Object.keys(values), errors };
+  }
+
+  // 既定値（キャリブレーション込み）に戻して保存内容を消す
+  reset() {
+    this.apply(this.defaults);
+    this.overrides = {};
+    this.trackerValues = {};
+    try { localStorage.removeItem(this.storageKey); } catch (e) { /* ignore */ }
+    return { config: this.get(), applied: Object.keys(this.defaults), errors: [] };
+  }
+}
@@ -0,0 +1,85 @@
+// diagnostics.js - 起動診断（カメラと MediaPipe の起動を段階ごとに記録し、ホストへ diagnostics として送る）
+// エラーコードは protocol.js の DIAGNOSTIC_CODES。ホストはコードからその言語のヘルプを出し、失敗の集計にも使う。
+
+// iframe 内で表示するメッセージ（ホスト側はコードから自前で出し分ける）
+export const DIAGNOSTIC_MESSAGES = {
+  insecure_context: 'このページは HTTPS で提供されていないため、カメラにアクセスできません。公開URL(HTTPS)で開いてください。',
+  unsupported: 'このブラウザはカメラ API に対応していません。',
+  permission_denied: 'カメラの使用が許可されていません。ブラウザの設定でカメラを許可してください。',
+  not_found: 'カメラが見つかりません。接続を確認してください。',
+  in_use: 'カメラを開けませんでした。他のアプリやタブが使用中でないか確認してください。',
+  tasks_vision_unavailable: 'MediaPipe を読み込めませんでした。ネットワークや CDN へのアクセス状況を確認してください。',
+  wasm_unavailable: 'MediaPipe の WASM を読み込めませんでした。ネットワークや CDN へのアクセス状況を確認してください。',
+  model_unavailable: '手のモデル (hand_landmarker.task) を読み込めませんでした。ネットワークや CDN へのアクセス状況を確認してください。',
+  landmarker_failed: 'MediaPipe (HandLandmarker) の初期化に失敗しました。',
+  three_unavailable: '3D 描画ライブラリ (three.js) を読み込めませんでした。ネットワークや CDN へのアクセス状況を確認してください。',
+  unknown: 'カメラにアクセスできませんでした。Permission/HTTPS/デバイスの設定を確認してください。',
+};
+
+// HandTracker.init() とシーン初期化の例外をコードにする（assets.js が取れなかった種類を assetKind に付ける）
+export function trackerFailureCode(err) {
+  switch (err && err.assetKind) {
+    case 'three': return 'three_unavailable';
+    case 'tasksVision': return 'tasks_vision_unavailable';
+    case 'wasm': return 'wasm_unavailable';
+    case 'model': return 'model_unavailable';
+    default: return 'landmarker_failed';
+  }
+}
+
+// カメラの許可状態（'granted' / 'denied' / 'prompt'）。Permissions API が camera に対応していなければ 'unknown'
+export async function cameraPermissionState() {
+  try {
+    const status = await navigator.permissions.query({ name: 'camera' });
+    return status.state;
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+export class StartupDiagnostics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.t0 = performance.now();
+    this.steps = [];
+    this.code = null;
+  }
+
+  // 1 段階を計測して記録する。fn の戻り値を detail として記録に残す。
+  // 例外は codeFor(err) のコードを付けて記録し、そのまま投げ直す。
+  // optional の段階は失敗してもコードを記録に残すだけで、起動の失敗にはしない（undefined を返す）
+  async step(name, fn, codeFor = () => 'unknown', { optional = false } = {}) {
+    const t = performance.now();
+    try {
+      const result = await fn();
+      this.steps.push({ name, ok: true, ms: Math.round(performance.now() - t), detail: result });
+      return result;
+    } catch (e) {
+      const code = codeFor(e);
+      this.steps.push({ name, ok: false, ms: Math.round(performance.now() - t), code, error: (e && e.message) || String(e), ...(optional ? { optional } : {}) });
+      if (optional) return undefined;
+      if (!this.code) this.code = code;
+      throw e;
+    }
+  }
+
+  // 実行しなかった段階（2 回目以降の起動でのトラッカー初期化など）
+  skip(name, reason) {
+    this.steps.push({ name, ok: true, ms: 0, skipped: reason });
+  }
+
+  // ホストへ送るレポート。attempts は assets.js の取得記録（Worker 分とメインスレッド分）
+  report({ attempts = [], inference = null, workerError = null } = {}) {
+    return {
+      ok: !this.code,
+      code: this.code,
+      startedAt: this.startedAt,
+      durationMs: Math.round(performance.now() - this.t0),
+      steps: this.steps,
+      assets: attempts,
+      inference,
+      workerError,
+      userAgent: navigator.userAgent,
+    };
+  }
+}
@@ -0,0 +1,696 @@
+// gesture.js - DOM 非依存のジェスチャ分類器（NONE / RUN / CHARGE / KICK と、単発の動作 PASS / JUMP / FEINT）
+// HandTracker から切り出した状態機械。正規化ランドマークと明示的なビューポートだけを入力に取るため、
+// ブラウザ外（Node で記録データを流す等）でも、画面サイズに関係なく同じ結果になる。
+import { RingBuffer, LandmarkFilter, diffSeries, rms, clamp } from './utils.js';
+import { computeKickFeatures, movementGateForKick } from './ml.js';
+
+export const GESTURE_CFG = {
+  windowSec: 0.7, // RUN 相関窓
+  debounceSec: 0.3,
+  hysteresis: { on: 0.65, off: 0.45 },
+  // 速度しきい値（px/s）を評価する基準ビューポート（CSS px）。
+  // 実際の overlay サイズではなくこの値で投影するため、ウィンドウサイズで判定が変わらない。
+  referenceViewport: { width: 400, height: 400 },
+  // 手を見失ってから NONE にするまでの時間（秒）。予測（tracking.graceSec）が終わってから数える
+  staleSec: 0.25,
+  // 検出の取りこぼし対策: 手を見失っても graceSec の間は直前の動きから点を外挿して分類を続ける。
+  // 1 フレームの取りこぼしで RUN が止まったり、CHARGE が解除扱いになって KICK が出たりするのを防ぐ。
+  // graceSec を超えたら hand_lost、再検出で hand_found を出す（0 で外挿なし、見失った時点で hand_lost）
+  tracking: {
+    graceSec: 0.3,
+    velocityDecaySec: 0.1, // 外挿の速度を減衰させる時定数（秒）。先へ行くほど動きを弱める
+  },
+  // KICK を最低限保持する時間（秒）
+  kickHoldSec: 1.0,
+  // 分類前のランドマーク平滑化（One Euro、正規化座標）。ジッタで指先速度が水増しされ、
+  // RUN が immediateOffThreshold 付近でちらつくのを抑える。beta が大きいほど速い動きで遅れが出ない
+  filter: { enabled: true, minCutoff: 1.5, beta: 8.0, dCutoff: 1.0 },
+  // CHARGE 解除後に KICK へ変換する猶予（秒）
+  chargePendingSec: 1.0,
+  run: {
+    minAbsCorr: 0.5,
+    minSpeedAmp: 50, // px/s 相当（指振りの速度閾値）
+    // 代替: 手首の上下速度のゼロ交差から走動作（周期運動）を検出
+    zeroXMinAmp: 50,       // px/s ゼロ交差判定に用いる最小速度（ノイズ抑制）
+    minTipSpeedPxPerSec: 50, // 甲から離れた領域での指先速度の下限（RUN 用）
+    // RUN を即座に終了させるための低い閾値（通常の off より低く設定）
+    immediateOffThreshold: 50, // px/s これ以下になったら即座に NONE へ
+  },
+  kick: {
+    minAngVel: 10.0, // rad/s
+    minWristSpeed: 500.0, // px/s （10 px/frame @30fps 相当）
+    // KICK は指先速度ピークのみで判定
+    minTipSpeedPxPerSec: 3500, // 指先速度による KICK しきい値
+    // 前方向（カメラ方向）への z 速度の最小値 (normalized z units per sec)
+    // MediaPipe の z はカメラに近づくと通常負の値になるため、
+    // ここでは負方向の速度（値が小さくなる＝より負）を期待する。
+    minTipForwardZ: 0.5,
+    // KICK の発生方法: 'charge'（CHARGE 解除で KICK、従来どおり）/ 'flick'（指の振り出しのみ）/ 'both'
+    mode: 'charge',
+    // flick 判定に使う窓（秒）。training.js の captureSec と揃えて学習時と同じ特徴量にする
+    flickWindowSec: 1.0,
+    // movementGateForKick のゲート条件（手スケール正規化）
+    gate: { minTipBelow: 0.02, minTipSpeed: 1.8 },
+    // CHARGE 解除 KICK の強さ: 溜め時間と曲げの深さから 0..1 を求め、曲線（指数）を掛けてから
+    // minPower..maxPower に写す。軽くタップしたキックと十分溜めたシュートで差が出るようにする
+    power: {
+      fullChargeSec: 1.2,     // この時間溜めると時間成分が最大
+      fullBendAngleRad: 1.6,  // PIP 角がここまで曲がると深さ成分が最大
+      depthWeight: 0.35,      // 深さ成分の重み（残りは時間成分）
+      curve: 1.5,             // 曲線の指数（1 で線形、大きいほど溜め終盤で伸びる）
+      minPower: 0.3,          // 最短の溜めでの強さ
+      maxPower: 1.0,          // 上限
+      progressStep: 0.1,      // charge_progress を送る刻み
+    },
+    // KICK の方向: 直近 windowSec の人差し指/中指の指先速度の平均から、
+    // 横振り成分で方位角（右が正）、上振り成分でロフト（打ち上げ角）を決める
+    direction: {
+      windowSec: 0.2,          // 方向を求める窓（秒）。CHARGE 解除 KICK では指を伸ばした動き
+      minSpeedPxPerSec: 300,   // これ未満の振りは方向なし（正面・defaultLoftRad）とみなす
+      maxAzimuthRad: 0.6,      // 方位角の上限（約 35°）
+      minLoftRad: 0.2,         // 真横に振ったときのロフト
+      maxLoftRad: 0.9,         // 真上に振ったときのロフト
+      defaultLoftRad: 0.64,    // 方向なしのときのロフト（従来の kickUp:kickForward と同じ角度）
+    },
+  },
+  charge: {
+    // 判定を少し厳しめに: 閾値を下げて、より深く曲げないと CHARGE と判定しないようにする
+    // PIP 関節の角度しきい値 (rad)。angleAt(...) < angleThresholdRad -> 曲がっていると判定
+    // 値を小さくするほど「深く曲げる」必要があり、誤検出が減る。
+    angleThresholdRad: 2.75,
+    // CHARGE を開始するまでのホールド時間（秒）
+    holdSec: 0.06,
+    // MCP（第1関節）の角度もしきい値として考慮する（同程度に厳しく）
+    mcpAngleThresholdRad: 2.75,
+    // anyBend は KICK 抑止に使う閾値。主閾値より若干緩めだが、こちらも少し厳しめに下げる
+    anyBendAngleRad: 2.65,
+    anyBendMcpAngleRad: 2.65,
+  },
+  // 単発の動作（状態は変えず、検出したフレームでイベントを出す）。速度は基準ビューポートの px/s で、
+  // windowSec の窓の始点と終点の変位から求める。CHARGE の保持中と KICK 中は判定しない
+  // PASS: 人差し指を横に弾く（手首に対する指先の横速度）。direction は弾いた向き（本人から見た左右）
+  pass: {
+    windowSec: 0.15,
+    minTipSpeedPxPerSec: 400,
+    minHorizontalRatio: 1.5, // 横速度が縦速度のこの倍以上
+    debounceSec: 0.5,
+  },
+  // JUMP: 手全体を素早く上へ振る（掌の中心の上向き速度）
+  jump: {
+    windowSec: 0.15,
+    minSpeedPxPerSec: 600,
+    minVerticalRatio: 2.0, // 上向き速度が横速度のこの倍以上
+    debounceSec: 0.6,
+  },
+  // FEINT: 人差し指と中指をはさみのように逆向きへ動かす（手首に対するそれぞれの横速度）
+  feint: {
+    windowSec: 0.2,
+    minTipSpeedPxPerSec: 150, // 2 本とも、逆向きにこの速さ以上
+    debounceSec: 0.5,
+  },
+};
+
+// 単発の動作の種類（送信メッセージ種別と同じ）。1 フレームで複数満たしたときはこの順で 1 つだけ出す
+export const ACTION_GESTURES = ['jump', 'feint', 'pass'];
+
+// 両手モードでの手の役割: 'all'（すべて）/ 'run'（RUN のみ）/ 'kick'（CHARGE と KICK のみ）
+export const HAND_ROLES = { all: null, run: ['RUN'], kick: ['CHARGE', 'KICK'] };
+
+// 役割で許可されていない状態は NONE として扱う
+export function filterStateForRole(state, role) {
+  const allowed = HAND_ROLES[role];
+  return (!allowed || allowed.includes(state)) ? state : 'NONE';
+}
+
+// 単発の動作も役割で絞る: 'run' の手は JUMP、'kick' の手は PASS と FEINT だけ
+const ACTION_ROLES = { all: null, run: ['jump'], kick: ['pass', 'feint'] };
+export function actionAllowedForRole(type, role) {
+  const allowed = ACTION_ROLES[role];
+  return !allowed || allowed.includes(type);
+}
+
+// 状態ごとの送信メッセージ種別
+export const STATE_MESSAGE_TYPE = { KICK: 'kick', RUN: 'run', CHARGE: 'charge', NONE: 'idle' };
+
+const STATE_PRIORITY = { NONE: 0, RUN: 1, CHARGE: 2, KICK: 3 };
+
+// 複数の手の状態を 1 つにまとめる（KICK > CHARGE > RUN > NONE、同順位なら確度の高い方）
+// entries: [{ hand, state, confidence }]
+export function mergeHandStates(entries) {
+  let best = { hand: null, state: 'NONE', confidence: 0 };
+  for (const e of entries) {
+    const pe = STATE_PRIORITY[e.state] || 0;
+    const pb = STATE_PRIORITY[best.state] || 0;
+    if (pe > pb || (pe === pb && pe > 0 && e.confidence > best.confidence)) best = { hand: e.hand, state: e.state, confidence: e.confidence };
+  }
+  return best;
+}
+
+const IDX = {
+  wrist: 0, thumbTip: 4,
+  idxMCP: 5, idxPIP: 6, idxDIP: 7, idxTIP: 8,
+  midMCP: 9, midPIP: 10, midDIP: 11, midTIP: 12,
+  ringMCP: 13, pinkyMCP: 17,
+};
+
+// 3 点 a-center-b がなす角（rad）。正規化 3D 座標を使う（スケール不変）
+function angleAt(n, idxA, idxCenter, idxB) {
+  const a = n[idxA] || { x: 0, y: 0, z: 0 };
+  const c = n[idxCenter] || { x: 0, y: 0, z: 0 };
+  const b = n[idxB] || { x: 0, y: 0, z: 0 };
+  const ax = a.x - c.x, ay = a.y - c.y, az = (a.z || 0) - (c.z || 0);
+  const bx = b.x - c.x, by = b.y - c.y, bz = (b.z || 0) - (c.z || 0);
+  const da = Math.hypot(ax, ay, az);
+  const db = Math.hypot(bx, by, bz);
+  if (da < 1e-6 || db < 1e-6) return Math.PI;
+  const dot = clamp((ax * bx + ay * by + az * bz) / (da * db), -1, 1);
+  return Math.acos(dot);
+}
+
+// 人差し指/中指の PIP・MCP 角を測る
+export function measureFingerAngles(lm) {
+  return {
+    indexPip: angleAt(lm, IDX.idxMCP, IDX.idxPIP, IDX.idxDIP),
+    indexMcp: angleAt(lm, IDX.wrist, IDX.idxMCP, IDX.idxPIP),
+    midPip: angleAt(lm, IDX.midMCP, IDX.midPIP, IDX.midDIP),
+    midMcp: angleAt(lm, IDX.wrist, IDX.midMCP, IDX.midPIP),
+  };
+}
+
+// CHARGE 判定: 人差し指または中指の PIP（第2関節）が曲がっているか。
+// anyBend は CHARGE より緩い閾値で、KICK 抑止に使う。
+export function detectBend(lm, chargeCfg) {
+  const ang = measureFingerAngles(lm);
+  const th = chargeCfg.angleThresholdRad;
+  const anyTh = chargeCfg.anyBendAngleRad || th;
+  return {
+    charge: ang.indexPip < th || ang.midPip < th,
+    anyBend: ang.indexPip < anyTh || ang.midPip < anyTh,
+    angles: ang,
+  };
+}
+
+// 溜め時間 holdSec と溜め中の最小 PIP 角 bendAngle から KICK の強さを求める。
+// progress は溜めの進み具合（曲線適用後 0..1）、power は minPower..maxPower の強さ
+export function computeKickPower(holdSec, bendAngle, cfg = GESTURE_CFG) {
+  const p = cfg.kick.power;
+  const th = cfg.charge.angleThresholdRad;
+  const dur = clamp(holdSec / Math.max(1e-3, p.fullChargeSec), 0, 1);
+  const depth = th > p.fullBendAngleRad ? clamp((th - bendAngle) / (th - p.fullBendAngleRad), 0, 1) : 1;
+  const raw = (1 - p.depthWeight) * dur + p.depthWeight * depth;
+  const progress = Math.pow(raw, p.curve);
+  const power = Math.min(p.maxPower, p.minPower + (1 - p.minPower) * progress);
+  return { progress, power };
+}
+
+// 指先速度の平均（基準ビューポート px/s、鏡適用済みなので +x が本人の右、+y が下）から KICK の方向を求める。
+// azimuth は正面からの方位角（右が正）、loft は地面からの打ち上げ角（rad）
+export function computeKickDirection(vx, vy, cfg = GESTURE_CFG) {
+  const d = cfg.kick.direction;
+  const speed = Math.hypot(vx, vy);
+  if (!(speed >= d.minSpeedPxPerSec)) return { azimuth: 0, loft: d.defaultLoftRad };
+  const azimuth = clamp(Math.atan2(vx, Math.abs(vy)), -d.maxAzimuthRad, d.maxAzimuthRad);
+  const up = clamp(-vy / speed, 0, 1);
+  return { azimuth, loft: d.minLoftRad + (d.maxLoftRad - d.minLoftRad) * up };
+}
+
+// 方位角とロフトをシーン座標の単位ベクトルにする（前方 -Z、上 +Y、右 +X）
+export function kickDirectionVector({ azimuth = 0, loft = GESTURE_CFG.kick.direction.defaultLoftRad } = {}) {
+  const c = Math.cos(loft);
+  return { x: c * Math.sin(azimuth), y: Math.sin(loft), z: -c * Math.cos(azimuth) };
+}
+
+// 0..1 正規化座標をビューポート px へ投影する（object-fit: cover 相当）
+export function makeProjection(viewport, videoW, videoH) {
+  const cssW = viewport.width;
+  const cssH = viewport.height;
+  const vw = videoW || cssW;
+  const vh = videoH || cssH;
+  const s = Math.max(cssW / Math.max(1, vw), cssH / Math.max(1, vh));
+  const drawW = vw * s;
+  const drawH = vh * s;
+  const offX = (cssW - drawW) / 2;
+  const offY = (cssH - drawH) / 2;
+  return (p) => ({ x: offX + p.x * drawW, y: offY + p.y * drawH });
+}
+
+// cfg.filter の無い設定で使う平滑化なしの設定
+const FILTER_OFF = { enabled: false };
+
+export class GestureClassifier {
+  // cfg: GESTURE_CFG 互換の設定（参照を保持するので実行中の変更も反映される）
+  // viewport: { width, height } 速度しきい値を評価する基準ビューポート
+  constructor({ cfg = GESTURE_CFG, viewport = null, bufferSize = 90 } = {}) {
+    this.cfg = cfg;
+    this.viewport = viewport;
+    this.landmarksBuf = new RingBuffer(bufferSize); // 約3秒分@30fps
+    // バッファへ入れる前の平滑化。手を見失って staleSec 以上空いたら前の位置を引きずらないよう捨てる。
+    // 設定はフレームごとに this.cfg から取り直す（set_config やキャリブレーションの変更を反映する）
+    this.lmFilter = new LandmarkFilter(cfg.filter || FILTER_OFF, { maxGapSec: cfg.staleSec });
+    this.kickModel = null;
+    this.reset();
+  }
+
+  reset() {
+    this.landmarksBuf.clear();
+    this.lmFilter.reset();
+    this.state = 'NONE';
+    this.prevState = undefined;
+    this.stateConf = 0;
+    // CHARGE ホールド開始時刻（秒）。null の場合は未ホールド
+    this.chargeStartTime = null;
+    // CHARGE 後に次の非 NONE を KICK に変換するフラグ
+    this.chargePending = false;
+    // chargePending が有効な最終時刻（秒）
+    this.chargePendingUntil = 0;
+    // CHARGE が holdSec を満たして確定したかを表す内部フラグ
+    this.chargeHeld = false;
+    // KICK を最低限保持するための有効期限（秒）
+    this.kickHoldUntil = 0;
+    this.lastTriggerTime = 0;
+    this.lastSeenTime = 0; // 最後に手を検出した時刻（sec）
+    // 外挿用: 直近 2 回の実測（平滑化後）と、見失い中かどうか
+    this.lastReal = null;
+    this.prevReal = null;
+    this.handLost = false;
+    this.kickScore = 0;
+    // 溜め中の最小 PIP 角と進み具合、最後に送った charge_progress
+    this.chargeMinAngle = Infinity;
+    this.chargeProgress = 0;
+    this.lastProgressSent = 0;
+    // CHARGE 解除時に確定した強さ（chargePending で KICK にするときに使う）と、現在の KICK の強さ
+    this.pendingKickPower = 0;
+    this.kickPower = 0;
+    // 現在の KICK の方向（KICK へ遷移したフレームの指先の振りから決める）
+    this.kickDirection = null;
+    // 単発の動作ごとの最後に出した時刻（秒、debounceSec 用）
+    this.lastActionTime = {};
+  }
+
+  // flick KICK のスコアに使う学習済みモデル（LogisticKickModel）。null なら flick の KICK は出ない
+  setKickModel(model) {
+    this.kickModel = model || null;
+  }
+
+  // flick KICK のスコア（0..1）: movementGateForKick を通過した窓だけモデルで評価する。
+  // ゲートは RUN 中の速い指先でも通るので、モデルが無ければ常に 0
+  flickKickScore(nowSec) {
+    if (!this.kickModel) return 0;
+    const kcfg = this.cfg.kick;
+    const win = this.landmarksBuf.toArray().filter((e) => nowSec - e.t <= kcfg.flickWindowSec);
+    if (!movementGateForKick(win, kcfg.gate)) return 0;
+    const feat = computeKickFeatures(win);
+    return feat ? this.kickModel.predictProba(feat) : 0;
+  }
+
+  getViewport() {
+    return this.viewport || this.cfg.referenceViewport || GESTURE_CFG.referenceViewport;
+  }
+
+  // 1 フレーム分の入力で状態機械を進める。
+  // t: 秒, lm: 鏡適用済み 0..1 正規化ランドマーク（手が無ければ null、平滑化前の生の値）, video: { videoW, videoH }
+  // 返却: 状態とメトリクス、および送信すべきイベント列 events（[{ type, confidence }]）
+  update(t, lm, { videoW = 0, videoH = 0 } = {}) {
+    const cfg = this.cfg;
+    const events = [];
+    let isCharge = false;
+    // isAnyBend: CHARGE より緩い閾値でわずかな曲がりを検出し、KICK を抑止するために使う
+    let isAnyBend = false;
+    let bendAngle = Math.PI;
+    let predicted = false;
+    if (lm) {
+      this.lmFilter.configure(cfg.filter || FILTER_OFF, { maxGapSec: cfg.staleSec });
+      lm = this.lmFilter.filter(lm, t);
+      if (this.handLost) {
+        events.push({ type: 'hand_found', lostSec: t - this.lastSeenTime });
+        this.handLost = false;
+      }
+      this.prevReal = this.lastReal;
+      this.lastReal = { t, lm };
+      this.landmarksBuf.push({ t, lm });
+      this.lastSeenTime = t;
+    } else if (this.lastReal && !this.handLost) {
+      lm = this.predictLandmarks(t);
+      if (lm) {
+        predicted = true;
+        this.landmarksBuf.push({ t, lm, predicted });
+      } else {
+        // 猶予切れ: 見失ったことを知らせ、以降は staleSec 後に NONE へ。
+        // 手が見えないまま CHARGE 解除扱いで KICK にならないよう、溜めは取り消す
+        events.push({ type: 'hand_lost', lastSeenTime: this.lastSeenTime });
+        this.handLost = true;
+        this.chargeHeld = false;
+        this.chargeStartTime = null;
+      }
+    }
+    if (lm) {
+      try {
+        const bend = detectBend(lm, cfg.charge);
+        isCharge = bend.charge;
+        isAnyBend = bend.anyBend;
+        bendAngle = Math.min(bend.angles.indexPip, bend.angles.midPip);
+      } catch (e) {
+        // ignore errors in charge calc but keep flag false
+        isCharge = false;
+      }
+    }
+
+    // ジェスチャ分類（最新のバッファから） -- classify はメトリクスも返す
+    // suppressKick フラグには、CHARGE の閾値はそのままに「わずかな曲がり」を示す isAnyBend を渡す
+    const metrics = this.classify(t, isAnyBend, { videoW, videoH });
+    const { state, confidence } = metrics;
+
+    // CHARGE 表示フラグ (isCharge) は直接 RUN/NONE/KICK の判定に影響を与えない。
+    // ただし，CHARGE が所定時間保持された（chargeHeld）あとに解除されたら
+    // 次の非 NONE を KICK に変換する。
+    // flick 専用モードでは CHARGE 解除による KICK を使わない
+    const chargeKick = cfg.kick.mode !== 'flick';
+    if (isCharge && chargeKick) {
+      if (this.chargeStartTime === null) {
+        this.chargeStartTime = t;
+        this.chargeMinAngle = Infinity;
+        this.lastProgressSent = 0;
+      }
+      this.chargeMinAngle = Math.min(this.chargeMinAngle, bendAngle);
+      const held = (t - this.chargeStartTime) >= (cfg.charge.holdSec || 0.5);
+      if (held) this.chargeHeld = true;
+      if (this.chargeHeld) {
+        // 溜めの進み具合を progressStep 刻みで通知する（満タン到達時は必ず 1 回）
+        this.chargeProgress = computeKickPower(t - this.chargeStartTime, this.chargeMinAngle, cfg).progress;
+        const step = cfg.kick.power.progressStep;
+        const full = this.chargeProgress >= 1 && this.lastProgressSent < 1;
+        if (full || this.chargeProgress - this.lastProgressSent >= step) {
+          this.lastProgressSent = this.chargeProgress;
+          events.push({ type: 'charge_progress', progress: this.chargeProgress });
+        }
+      }
+    } else {
+      // CHARGE が解除されたとき、hold が成立していたら次の非 NONE を KICK にするフラグを立てる
+      if (this.chargeHeld) {
+        this.chargePending = true;
+        this.chargePendingUntil = t + cfg.chargePendingSec;
+        this.pendingKickPower = computeKickPower(t - this.chargeStartTime, this.chargeMinAngle, cfg).power;
+      }
+      this.chargeHeld = false;
+      this.chargeStartTime = null;
+      this.chargeProgress = 0;
+    }
+
+    // CHARGE が確定（hold 成立）している間は状態として 'CHARGE' を優先する
+    const desiredState = this.chargeHeld ? 'CHARGE' : state;
+    const desiredConf = this.chargeHeld ? 1.0 : confidence;
+
+    // chargePending が立っていれば、このフレームで必ず KICK に遷移する。
+    // 状態変化のイベントより先に決める（解除フレームで RUN を出してから KICK に変わらないように）。
+    // KICK にしたあとは下の KICK 保持で状態が維持される
+    if (this.chargePending) {
+      if (t > (this.chargePendingUntil || 0)) {
+        // 期限切れ
+        this.chargePending = false;
+        this.chargePendingUntil = 0;
+      } else {
+        const wasKick = this.state === 'KICK' && t <= (this.kickHoldUntil || 0);
+        this.state = 'KICK';
+        // CHARGE 解除 KICK の強さは溜め時間と曲げの深さで決まる
+        this.kickPower = this.pendingKickPower;
+        this.stateConf = this.kickPower;
+        // 方向は解除直後の指を伸ばす振りから（直近 direction.windowSec）
+        if (!wasKick) this.kickDirection = computeKickDirection(metrics.tipVx || 0, metrics.tipVy || 0, cfg);
+        this.kickHoldUntil = t + cfg.kickHoldSec;
+        this.chargePending = false;
+        this.chargePendingUntil = 0;
+        // 新規KICK遷移時のみイベント
+        if (!wasKick) events.push({ type: 'kick', confidence: this.stateConf, power: this.kickPower, ...this.kickDirection });
+        this.prevState = 'KICK';
+      }
+    }
+
+    // 既に KICK 中であれば、kickHoldUntil を尊重して一定時間は KICK を継続する
+    if (this.state === 'KICK' && t <= (this.kickHoldUntil || 0)) {
+      this.state = 'KICK';
+      this.stateConf = this.kickPower;
+    } else if (desiredState === 'KICK' && this.state !== 'KICK') {
+      // 新たに KICK へ遷移した -> 保持期限を設定。flick KICK の強さはスコアそのもの
+      this.state = 'KICK';
+      this.stateConf = desiredConf;
+      this.kickPower = desiredConf;
+      this.kickDirection = computeKickDirection(metrics.tipVx || 0, metrics.tipVy || 0, cfg);
+      this.kickHoldUntil = t + cfg.kickHoldSec;
+      if (this.prevState !== 'KICK') events.push({ type: 'kick', confidence: this.stateConf, power: this.kickPower, ...this.kickDirection });
+      // 保持明けに同じ KICK を再送しないよう、送信済みの状態として記録する
+      this.prevState = 'KICK';
+    } else {
+      this.state = desiredState;
+      this.stateConf = desiredConf;
+
+      // 状態が変化したときのみイベントを出す（重複送信を回避）
+      if (this.prevState !== this.state) {
+        if (this.state === 'KICK') events.push({ type: 'kick', confidence: this.stateConf, power: this.stateConf, ...(this.kickDirection || computeKickDirection(0, 0, cfg)) });
+        else if (this.state === 'RUN') events.push({ type: 'run', confidence: this.stateConf });
+        else if (this.state === 'CHARGE') events.push({ type: 'charge', confidence: this.stateConf });
+        else if (this.state === 'IDLE' || this.state === 'NONE') events.push({ type: 'idle', confidence: this.stateConf });
+      }
+      this.prevState = this.state;
+    }
+
+    // 単発の動作（実測のフレームだけで判定する。外挿した点の動きで出さない）
+    const action = (lm && !predicted) ? this.detectAction(t, { videoW, videoH }) : null;
+    if (action) events.push(action);
+
+    return {
+      state: this.state,
+      confidence: this.stateConf,
+      charge: isCharge,
+      anyBend: isAnyBend,
+      chargeHeld: !!this.chargeHeld,
+      chargePending: !!(this.chargePending && t <= this.chargePendingUntil),
+      tipSpeedPeak: metrics.tipSpeedPeak || 0,
+      tipForwardMin: metrics.tipForwardMin || 0,
+      runConf: metrics.runConf || 0,
+      kickScore: this.kickScore,
+      predicted,
+      handLost: this.handLost,
+      chargeProgress: this.chargeProgress,
+      kickPower: this.state === 'KICK' ? this.kickPower : 0,
+      kickAzimuth: (this.state === 'KICK' && this.kickDirection) ? this.kickDirection.azimuth : 0,
+      kickLoft: (this.state === 'KICK' && this.kickDirection) ? this.kickDirection.loft : 0,
+      palmSize: metrics.palmSize || 0,
+      lastSeenTime: this.lastSeenTime,
+      action: action ? action.type : null,
+      events,
+    };
+  }
+
+  // PASS / JUMP / FEINT の判定。満たしたものを { type, confidence, ... } で 1 つ返す（無ければ null）
+  detectAction(t, { videoW = 0, videoH = 0 } = {}) {
+    const cfg = this.cfg;
+    if (this.chargeHeld || this.chargePending || this.state === 'KICK') return null;
+    const project = makeProjection(this.getViewport(), videoW, videoH);
+    const real = this.landmarksBuf.toArray().filter((e) => !e.predicted);
+    // windowSec の窓での点 pick(lm) の平均速度 { x, y }（px/s）。実測が足りなければ null
+    const velocity = (windowSec, pick) => {
+      const win = real.filter((e) => t - e.t <= windowSec);
+      if (win.length < 3) return null;
+      const a = win[0], b = win[win.length - 1];
+      const dt = b.t - a.t;
+      if (dt < windowSec * 0.5) return null;
+      const pa = project(pick(a.lm)), pb = project(pick(b.lm));
+      return { x: (pb.x - pa.x) / dt, y: (pb.y - pa.y) / dt };
+    };
+    // しきい値ちょうどで 0.5、2 倍で 1
+    const conf = (speed, min) => clamp(0.5 + 0.5 * (speed - min) / min, 0, 1);
+    const ready = (type) => t - (this.lastActionTime[type] ?? -Infinity) > cfg[type].debounceSec;
+    const fire = (type, fields) => {
+      this.lastActionTime[type] = t;
+      return { type, ...fields };
+    };
+    const palm = (lm) => {
+      const pts = [IDX.wrist, IDX.idxMCP, IDX.midMCP, IDX.ringMCP, IDX.pinkyMCP].map((i) => lm[i]);
+      return { x: pts.reduce((s, p) => s + p.x, 0) / pts.length, y: pts.reduce((s, p) => s + p.y, 0) / pts.length };
+    };
+    // 手首に対する指先の速度（手全体の動きを除く）
+    const relative = (windowSec, tip) => {
+      const v = velocity(windowSec, (lm) => lm[tip]);
+      const w = velocity(windowSec, (lm) => lm[IDX.wrist]);
+      return v && w ? { x: v.x - w.x, y: v.y - w.y } : null;
+    };
+
+    // JUMP: 画面の上は -y
+    if (ready('jump')) {
+      const c = cfg.jump;
+      const v = velocity(c.windowSec, palm);
+      if (v && -v.y >= c.minSpeedPxPerSec && -v.y >= c.minVerticalRatio * Math.abs(v.x)) {
+        return fire('jump', { confidence: conf(-v.y, c.minSpeedPxPerSec) });
+      }
+    }
+    // FEINT: 人差し指と中指が逆向きに横へ動く
+    if (ready('feint')) {
+      const c = cfg.feint;
+      const vi = relative(c.windowSec, IDX.idxTIP);
+      const vm = relative(c.windowSec, IDX.midTIP);
+      if (vi && vm && vi.x * vm.x < 0) {
+        const speed = Math.min(Math.abs(vi.x), Math.abs(vm.x));
+        if (speed >= c.minTipSpeedPxPerSec) return fire('feint', { confidence: conf(speed, c.minTipSpeedPxPerSec) });
+      }
+    }
+    // PASS: 鏡適用済みなので +x が本人の右。azimuth は弾いた向きの正面からの角度（右が正）
+    if (ready('pass')) {
+      const c = cfg.pass;
+      const v = relative(c.windowSec, IDX.idxTIP);
+      if (v && Math.abs(v.x) >= c.minTipSpeedPxPerSec && Math.abs(v.x) >= c.minHorizontalRatio * Math.abs(v.y)) {
+        return fire('pass', {
+          confidence: conf(Math.abs(v.x), c.minTipSpeedPxPerSec),
+          direction: v.x > 0 ? 'right' : 'left',
+          azimuth: Math.atan2(v.x, Math.abs(v.y)),
+        });
+      }
+    }
+    return null;
+  }
+
+  // 見失い中の点を直近 2 回の実測から外挿する。猶予（tracking.graceSec）を過ぎていたら null。
+  // 速度は velocityDecaySec で指数減衰させるので、外挿した点は実測の延長上で止まっていく
+  predictLandmarks(t) {
+    const tr = this.cfg.tracking || GESTURE_CFG.tracking;
+    const since = t - this.lastReal.t;
+    if (!(tr.graceSec > 0) || since > tr.graceSec) return null;
+    const last = this.lastReal.lm;
+    const prev = this.prevReal;
+    const dt = prev ? this.lastReal.t - prev.t : 0;
+    if (!prev || !(dt > 1e-6) || dt > tr.graceSec) return last;
+    const k = tr.velocityDecaySec * (1 - Math.exp(-since / tr.velocityDecaySec)) / dt;
+    return last.map((p, i) => {
+      const q = prev.lm[i];
+      return { x: p.x + (p.x - q.x) * k, y: p.y + (p.y - q.y) * k, z: (p.z ?? 0) + ((p.z ?? 0) - (q.z ?? 0)) * k };
+    });
+  }
+
+  // 窓内のランドマーク列から RUN/KICK 候補とメトリクスを求める（状態は lastTriggerTime のみ更新）
+  classify(nowSec, suppressKick = false, { videoW = 0, videoH = 0 } = {}) {
+    const cfg = this.cfg;
+    this.kickScore = 0;
+    const windowLen = cfg.windowSec;
+    const arr = this.landmarksBuf.toArray().filter((e) => nowSec - e.t <= windowLen);
+    if (arr.length < 4) return { state: 'NONE', confidence: 0 };
+    // 最終観測が古い場合は NONE
+    const lastT = arr[arr.length - 1].t;
+    if (nowSec - lastT > cfg.staleSec) return { state: 'NONE', confidence: 0 };
+
+    // 基準ビューポートへの投影（px）
+    const project = makeProjection(this.getViewport(), videoW, videoH);
+
+    const time = arr.map((e) => e.t);
+
+    // 手の甲中心とサイズ（掌基部 5,9,13,17 + 手首0 の重心と広がり）
+    const palmCenters = arr.map((e) => {
+      const pts = [IDX.wrist, IDX.idxMCP, IDX.midMCP, IDX.ringMCP, IDX.pinkyMCP].map(i => project(e.lm[i]));
+      const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
+      const cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+      const d = pts.map(p => Math.hypot(p.x - cx, p.y - cy));
+      const palmSize = d.reduce((s, v) => s + v, 0) / Math.max(1, d.length);
+      return { x: cx, y: cy, size: Math.max(1, palmSize) };
+    });
+
+    // 指先（人差し指 8 と 中指 12）
+    const tipIndex = arr.map((e) => project(e.lm[IDX.idxTIP]));
+    const tipIndexZ = arr.map((e) => (e.lm[IDX.idxTIP].z ?? 0));
+    const tipIndexVx = diffSeries(time, tipIndex.map(p => p.x));
+    const tipIndexVy = diffSeries(time, tipIndex.map(p => p.y));
+    const tipIndexSpeed = tipIndexVx.map((v, i) => Math.hypot(v, tipIndexVy[i]));
+    const tipIndexVz = diffSeries(time, tipIndexZ);
+
+    const tipMid = arr.map((e) => project(e.lm[IDX.midTIP]));
+    const tipMidZ = arr.map((e) => (e.lm[IDX.midTIP].z ?? 0));
+    const tipMidVx = diffSeries(time, tipMid.map(p => p.x));
+    const tipMidVy = diffSeries(time, tipMid.map(p => p.y));
+    const tipMidSpeed = tipMidVx.map((v, i) => Math.hypot(v, tipMidVy[i]));
+    const tipMidVz = diffSeries(time, tipMidZ);
+
+    // combine: pick the maximum peak among index and middle
+    const tipSpeed = tipIndexSpeed.concat(tipMidSpeed);
+    const tipSpeedPeak = Math.max(...tipIndexSpeed, ...tipMidSpeed);
+    const tipForwardMin = Math.min(...tipIndexVz, ...tipMidVz);
+
+    // KICK 方向用: 直近 direction.windowSec の人差し指/中指の平均速度（px/s）
+    let dirN = 0, tipVx = 0, tipVy = 0;
+    for (let i = 0; i < time.length; i++) {
+      if (nowSec - time[i] > cfg.kick.direction.windowSec) continue;
+      tipVx += tipIndexVx[i] + tipMidVx[i];
+      tipVy += tipIndexVy[i] + tipMidVy[i];
+      dirN += 2;
+    }
+    if (dirN) { tipVx /= dirN; tipVy /= dirN; }
+
+    // 速度による KICK（flick）は kick.mode が 'flick' / 'both' のときのみ。
+    // 'charge' では KICK へ遷移するのは CHARGE が終了したときだけなので kickScore は 0 のまま。
+    // 指が曲がっている（suppressKick）間は CHARGE 側の判定に任せて flick を抑止する。
+    let kickScore = 0;
+    if (cfg.kick.mode && cfg.kick.mode !== 'charge' && !suppressKick) kickScore = this.flickKickScore(nowSec);
+    this.kickScore = kickScore;
+
+    // RUN（簡素化）: KICK でない限りすべて RUN。加速用の confidence は指先速度RMSから算出。
+    const tipAmp = rms(tipSpeed);
+    const runConf = clamp((tipAmp - cfg.run.minTipSpeedPxPerSec) / cfg.run.minTipSpeedPxPerSec, 0, 1);
+
+    // ヒステリシス + デバウンス
+    const now = nowSec;
+    const since = now - this.lastTriggerTime;
+    let nextState = this.state;
+    let conf = 0;
+
+    const kickOn = kickScore >= cfg.hysteresis.on;
+    const kickOff = kickScore <= cfg.hysteresis.off;
+    const runOn = runConf >= cfg.hysteresis.on;
+    const runOff = runConf <= cfg.hysteresis.off;
+
+    if (this.state === 'KICK') {
+      if (kickOff) {
+        // KICK を抜けたら、走りが十分であれば RUN、そうでなければ NONE
+        if (runOn) { nextState = 'RUN'; conf = runConf; }
+        else { nextState = 'NONE'; conf = 0; }
+      } else {
+        nextState = 'KICK';
+        conf = kickScore;
+      }
+    } else if (this.state === 'RUN') {
+      if (kickOn && since > cfg.debounceSec) {
+        nextState = 'KICK';
+        conf = kickScore;
+        this.lastTriggerTime = now;
+      } else if (tipAmp < cfg.run.immediateOffThreshold) {
+        // 走るのをやめたら即座に NONE へ（指先速度が閾値以下）
+        nextState = 'NONE';
+        conf = 0;
+      } else if (runOff) {
+        // 通常のヒステリシスによる OFF
+        nextState = 'NONE';
+        conf = 0;
+      } else {
+        nextState = 'RUN';
+        conf = runConf;
+      }
+    } else { // NONE
+      if (kickOn && since > cfg.debounceSec) {
+        nextState = 'KICK';
+        conf = kickScore;
+        this.lastTriggerTime = now;
+      } else if (runOn) {
+        nextState = 'RUN';
+        conf = runConf;
+      } else {
+        nextState = 'NONE';
+        conf = 0;
+      }
+    }
+
+    return { state: nextState, confidence: clamp(conf, 0, 1), tipSpeedPeak, tipForwardMin, tipVx, tipVy, runConf, palmSize: palmCenters.length ? palmCenters[palmCenters.length-1].size : 0 };
+  }
+}
+
+// recorder.js 形式の記録をまとめて分類する（Node でも実行可）。フレーム毎の結果配列を返す。
+// kickModel は flick KICK 用の学習済みモデル（LogisticKickModel）
+export function classifyRecording(recording, { cfg = GESTURE_CFG, viewport = null, kickModel = null } = {}) {
+  const clf = new GestureClassifier({ cfg, viewport });
+  clf.setKickModel(kickModel);
+  return recording.frames.map((f) => ({ t: f.t, ...clf.update(f.t, f.lm, f) }));
+}
@@ -0,0 +1,125 @@
+// governor.js - 追跡パイプラインの負荷調整（品質ティア）
+// 描画ループのフレーム時間、検出の遅延、ホストページ（Unity）のフレームレートを見て、
+// 推論の入力サイズ・検出レート・オーバーレイ描画を段階的に落とす/戻す。DOM 非依存。
+
+// 品質ティア（上から順に軽くなる）。overlay: 'full'（骨格と点）/ 'points'（点のみ）/ 'off'（描かない）
+export const QUALITY_TIERS = [
+  { name: 'high', inputSize: 320, detectHz: 30, overlay: 'full' },
+  { name: 'medium', inputSize: 256, detectHz: 24, overlay: 'full' },
+  { name: 'low', inputSize: 224, detectHz: 15, overlay: 'points' },
+  { name: 'minimal', inputSize: 192, detectHz: 10, overlay: 'off' },
+];
+
+export const GOVERNOR_CFG = {
+  // 平滑化（指数移動平均）の係数。1 フレームのスパイクで判断しないようにする
+  smoothing: 0.05,
+  // 落とす条件（どれか 1 つ）: 描画ループ FPS が downFps 未満、ホスト FPS が hostDownFps 未満、
+  // 検出遅延が検出間隔の latencyDownRatio 倍を超える
+  downFps: 22,
+  hostDownFps: 22,
+  latencyDownRatio: 1.0,
+  // 戻す条件（すべて）: 描画ループ FPS が upFps 以上、ホスト FPS が hostUpFps 以上（未受信なら無視）、
+  // 検出遅延が「1 段上のティアの」検出間隔の latencyUpRatio 倍未満
+  upFps: 28,
+  hostUpFps: 28,
+  latencyUpRatio: 0.6,
+  // 条件が続いた時間（秒）。戻す方を長くして行き来（発振）を防ぐ
+  downHoldSec: 1.5,
+  upHoldSec: 5.0,
+  // ティア変更直後は指標が落ち着くまで判断しない（秒）
+  cooldownSec: 2.0,
+  // ホスト FPS がこの時間届かなければ使わない（秒）
+  hostStaleSec: 3.0,
+};
+
+export function tierIndex(name) {
+  return QUALITY_TIERS.findIndex((t) => t.name === name);
+}
+
+export class PerformanceGovernor {
+  // initialTier: 開始ティア名。pinned: ティア名を渡すと固定（調整しない）
+  constructor({ cfg = GOVERNOR_CFG, initialTier = 'high', pinned = null, onChange = null } = {}) {
+    this.cfg = cfg;
+    this.onChange = onChange;
+    this.level = Math.max(0, tierIndex(pinned || initialTier));
+    this.pinned = pinned && tierIndex(pinned) >= 0 ? pinned : null;
+    this.frameFps = 0;
+    this.detectLatencyMs = 0;
+    this.hostFps = 0;
+    this.hostFpsAt = -Infinity;
+    this.downSince = null;
+    this.upSince = null;
+    this.changedAt = -Infinity;
+  }
+
+  get tier() { return QUALITY_TIERS[this.level]; }
+
+  // 固定する（null で自動調整に戻す）
+  pin(name) {
+    const i = name ? tierIndex(name) : -1;
+    this.pinned = i >= 0 ? name : null;
+    if (i >= 0) this.setLevel(i, null);
+  }
+
+  // ホストページのフレームレート（protocol.js の host_perf）。t は秒
+  reportHostFps(fps, t) {
+    this.hostFps = fps;
+    this.hostFpsAt = t;
+  }
+
+  // 描画ループ 1 回分の観測。t: 秒, frameMs: 前回のループからの時間, detectLatencyMs: 直近の検出にかかった時間
+  sample(t, { frameMs, detectLatencyMs } = {}) {
+    const a = this.cfg.smoothing;
+    if (frameMs > 0) {
+      const fps = 1000 / frameMs;
+      this.frameFps = this.frameFps ? this.frameFps + (fps - this.frameFps) * a : fps;
+    }
+    if (detectLatencyMs > 0) {
+      this.detectLatencyMs = this.detectLatencyMs ? this.detectLatencyMs + (detectLatencyMs - this.detectLatencyMs) * a : detectLatencyMs;
+    }
+    if (this.pinned || t - this.changedAt < this.cfg.cooldownSec) return this.tier;
+
+    const c = this.cfg;
+    const hostKnown = t - this.hostFpsAt <= c.hostStaleSec;
+    const intervalMs = 1000 / this.tier.detectHz;
+    const pressure = this.frameFps < c.downFps
+      || (hostKnown && this.hostFps < c.hostDownFps)
+      || this.detectLatencyMs > intervalMs * c.latencyDownRatio;
+    const up = this.level > 0 ? QUALITY_TIERS[this.level - 1] : null;
+    const headroom = !!up && !pressure
+      && this.frameFps >= c.upFps
+      && (!hostKnown || this.hostFps >= c.hostUpFps)
+      && this.detectLatencyMs < (1000 / up.detectHz) * c.latencyUpRatio;
+
+    this.downSince = pressure ? (this.downSince ?? t) : null;
+    this.upSince = headroom ? (this.upSince ?? t) : null;
+    if (pressure && this.level < QUALITY_TIERS.length - 1 && t - this.downSince >= c.downHoldSec) {
+      this.setLevel(this.level + 1, t);
+    } else if (headroom && t - this.upSince >= c.upHoldSec) {
+      this.setLevel(this.level - 1, t);
+    }
+    return this.tier;
+  }
+
+  setLevel(level, t) {
+    if (level === this.level) return;
+    const prev = this.tier;
+    this.level = level;
+    this.downSince = null;
+    this.upSince = null;
+    if (t != null) this.changedAt = t;
+    this.onChange && this.onChange(this.tier, prev);
+  }
+
+  // テレメトリ/デバッグ用の現在値
+  snapshot() {
+    return {
+      tier: this.tier.name,
+      level: this.level,
+      pinned: !!this.pinned,
+      frameFps: this.frameFps,
+      detectLatencyMs: this.detectLatencyMs,
+      hostFps: this.hostFps,
+    };
+  }
+}
@@ -1,76 +1,54 @@
 // hand.js - MediaPipe HandLandmarker + ジェスチャ判定
-import { RingBuffer, MovingAvg, normalizedCrossCorrelation, angleBetween, diffSeries, rms, clamp, lerp, zeroCrossingTimes } from './utils.js';
-
-// MediaPipe tasks-vision の読み込みは動的 import でローカル/CDN をフォールバック
+import { lerp, LandmarkFilter } from './utils.js';
+import { GestureClassifier, GESTURE_CFG, HAND_ROLES, STATE_MESSAGE_TYPE, ACTION_GESTURES, filterStateForRole, actionAllowedForRole, mergeHandStates } from './gesture.js';
+import { LogisticKickModel, kickModelKey } from './ml.js';
+import { LandmarkRecorder, ReplaySource, frameHands } from './recorder.js';
+import { loadCalibrationProfile, applyCalibration } from './calibration.js';
+import { createHandLandmarker, supportsWorkerDetection, WorkerHandDetector } from './landmarker.js';
+import { PerformanceGovernor } from './governor.js';
+
+// HandLandmarker の生成は landmarker.js（推論は既定で Web Worker、非対応ブラウザはメインスレッド）
 // HTTPS or localhost が必要。iOS Safari はユーザ操作後にカメラ可。
 
 const CFG = {
-  inputTargetSize: 320, // 処理落ち時は 256 に下げる
-  minFPSForHighRes: 26,
-  windowSec: 0.7, // RUN 相関窓
-  debounceSec: 0.3,
-  hysteresis: { on: 0.65, off: 0.45 },
-  run: {
-    minAbsCorr: 0.5,
-    minSpeedAmp: 50, // px/s 相当（指振りの速度閾値）
-    // 代替: 手首の上下速度のゼロ交差から走動作（周期運動）を検出
-    zeroXMinAmp: 50,       // px/s ゼロ交差判定に用いる最小速度（ノイズ抑制）
-    minTipSpeedPxPerSec: 50, // 甲から離れた領域での指先速度の下限（RUN 用）
-    // RUN を即座に終了させるための低い閾値（通常の off より低く設定）
-    immediateOffThreshold: 50, // px/s これ以下になったら即座に NONE へ
-  },
-  kick: {
-    minAngVel: 10.0, // rad/s
-    minWristSpeed: 500.0, // px/s （10 px/frame @30fps 相当）
-    // KICK は指先速度ピークのみで判定
-    minTipSpeedPxPerSec: 3500, // 指先速度による KICK しきい値
-    // 前方向（カメラ方向）への z 速度の最小値 (normalized z units per sec)
-    // MediaPipe の z はカメラに近づくと通常負の値になるため、
-    // ここでは負方向の速度（値が小さくなる＝より負）を期待する。
-    minTipForwardZ: 0.5,
-  },
-  charge: {
-    // 判定を少し厳しめに: 閾値を下げて、より深く曲げないと CHARGE と判定しないようにする
-    // PIP 関節の角度しきい値 (rad)。angleAt(...) < angleThresholdRad -> 曲がっていると判定
-    // 値を小さくするほど「深く曲げる」必要があり、誤検出が減る。
-    angleThresholdRad: 2.75,
-    // CHARGE を開始するまでのホールド時間（秒）
-    holdSec: 0.06,
-    // MCP（第1関節）の角度もしきい値として考慮する（同程度に厳しく）
-    mcpAngleThresholdRad: 2.75,
-    // anyBend は KICK 抑止に使う閾値。主閾値より若干緩めだが、こちらも少し厳しめに下げる
-    anyBendAngleRad: 2.65,
-    anyBendMcpAngleRad: 2.65,
-  },
+  // 推論の入力サイズと検出レートは governor.js の品質ティアで決まる
+  // ジェスチャ判定のしきい値（gesture.js）。参照を共有するので実行中の変更は分類器に反映される
+  gesture: GESTURE_CFG,
 };
 
-
-async function loadTasksVision() {
-  // ローカルUnityサーバは .mjs の MIME を正しく返さないため、CDN優先→ローカルの順に変更
-  const candidates = [
-    'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.11/vision_bundle.mjs',
-    'https://unpkg.com/@mediapipe/tasks-vision@0.10.11/vision_bundle.mjs',
-    './vendor/mediapipe/vision_bundle.mjs',
-  ];
-  let lastErr;
-  for (const url of candidates) {
-    try {
-      const mod = await import(url);
-      if (mod?.FilesetResolver && mod?.HandLandmarker) return mod;
-    } catch (e) {
-      lastErr = e;
-    }
-  }
-  throw lastErr || new Error('Failed to load @mediapipe/tasks-vision');
-}
-
-export class HandTracker {
-  constructor({ video, overlay, mirror = false, onResult }) {
+// charge_progress は progressStep 刻みで間引き済みなので、通常のデバウンスより短い間隔で送る
+const CHARGE_PROGRESS_MIN_MS = 50;
+
+// performance.now() の時刻をエポックミリ秒に直す（ホストページの時計と比べられるように）
+const epochMs = (perfMs) => performance.timeOrigin + perfMs;
+
+// HandTracker が出すイベント（EventTarget の CustomEvent。中身は event.detail）。
+// どれも ts（フレームの時刻、秒。actionState.ts と同じ時計で、リプレイでは記録の時刻）と
+// at（発火時のエポックミリ秒）、hand（両手モードでは 'left' | 'right'、片手モードと両手をまとめた状態では null）を持つ。
+// カメラ入力のフレームでは timing（{ capturedAt, detectedAt }、元の映像フレームを推論に渡した時刻と検出が終わった時刻、
+// エポックミリ秒）も付く（リプレイでは無い）。ホストへのメッセージにも封筒の timing として付けて送る。
+// - statechange: { state, prevState, confidence, power?, azimuth?, loft? } 状態が変わったとき（両手モードでは手ごとと、まとめた状態）
+// - kick: { confidence, power, azimuth, loft } KICK へ遷移したとき（手ごと）
+// - chargestart: {} CHARGE（溜めの保持が成立）に入ったとき
+// - chargeprogress: { progress } 溜めの進み具合（GESTURE_CFG.kick.power.progressStep 刻み）
+// - chargerelease: { state, kicked, heldSec } CHARGE を抜けたとき（kicked: KICK になった / false なら取り消し）
+// - runupdate: { confidence, runConf } RUN の間は毎フレーム
+// - handlost: { lastSeenTime, lastSeenAt } / handfound: { lostSec, lostMs } 見失い/再検出
+// - pass: { confidence, direction, azimuth } / jump: { confidence } / feint: { confidence } 単発の動作（gesture.js の detectAction）
+// - frame: { fps, state, confidence, charge, hands, actionState } 毎フレーム（従来の onResult と同じ内容。hand はボールを動かす手）
+export const TRACKER_EVENTS = ['statechange', 'kick', 'chargestart', 'chargeprogress', 'chargerelease', 'runupdate', 'handlost', 'handfound', ...ACTION_GESTURES, 'frame', 'calibration'];
+
+export class HandTracker extends EventTarget {
+  constructor({ video, overlay, mirror = false, onResult, channel = null, twoHands = false, roles = {}, profile = null, useWorker = true, quality = null }) {
+    super();
     this.video = video;
     this.overlay = overlay;
   this.ctx = overlay.getContext('2d');
     this.mirror = mirror;
-    this.onResult = onResult;
+    // onResult は frame イベントの購読として残す（既存の呼び出し側向け）
+    if (onResult) this.addEventListener('frame', (e) => onResult(e.detail));
+    // ホストページへの送信チャネル（protocol.js）。無ければ遷移イベントは送らない
+    this.channel = channel;
 
     this.running = false;
     this.lastTs = performance.now();
@@ -79,11 +57,36 @@ export class HandTracker {
   this.detectIntervalMs = 1000 / 30;
   this.lastDetectTime = 0;
   this.lastDetectResult = null;
-
-    // 時系列バッファ
-    this.landmarksBuf = new RingBuffer(90); // 約3秒分@30fps
-    this.state = 'NONE';
-    this.stateConf = 0;
+  // lastDetectResult の元になったフレームの { capturedAt, detectedAt }（エポックミリ秒）と、処理中のフレームのそれ
+  this.lastDetectTiming = null;
+  this.frameTiming = null;
+  // メインスレッド推論 1 回にかかった時間（Worker 推論では detector.stats.lastLatencyMs）
+  this.lastDetectLatencyMs = 0;
+  this.lastLoopTime = null;
+  this.loopId = 0;
+  // 負荷に応じて入力サイズ・検出レート・オーバーレイ描画を切り替える（quality でティア固定）
+  this.governor = new PerformanceGovernor({
+    pinned: quality,
+    onChange: (tier, prev) => console.info(`[HandTracker] quality ${prev.name} -> ${tier.name}`, this.governor.snapshot()),
+  });
+
+    // ジェスチャ分類器（状態機械と時系列バッファを保持する）
+    this.classifier = new GestureClassifier({ cfg: CFG.gesture });
+    // 両手モード（opt-in）: 左右それぞれに分類器を持ち、役割（roles）で出せる状態を制限する。
+    // 左右はユーザから見た手（MediaPipe の handedness を補正したもの）。this.classifier は右手を兼ねる
+    this.twoHands = !!twoHands;
+    this.roles = { left: 'all', right: 'all' };
+    this.handClassifiers = this.twoHands ? { left: new GestureClassifier({ cfg: CFG.gesture }), right: this.classifier } : null;
+    this.handStates = { left: { state: 'NONE', confidence: 0 }, right: { state: 'NONE', confidence: 0 } };
+    this.combined = { hand: null, state: 'NONE', confidence: 0 };
+    // イベント判定用の直前の状態（キーは 'left' / 'right'、片手モードと両手をまとめた状態は 'all'）
+    this.emitted = {};
+    this.setHandRoles(roles);
+    // プレイヤーごとのキャリブレーション（calibration.js）。profile に名前があれば起動時に読み込む
+    this.calibration = null;
+    // flick KICK 用モデルの取得元（loadKickModel）
+    this.kickModelSource = null;
+    if (profile != null) this.loadCalibration(profile);
     // ゲーム側へ渡す統一されたアクション状態オブジェクト
     this.actionState = {
       state: this.state,
@@ -94,23 +97,23 @@ export class HandTracker {
       tipSpeedPeak: 0,
       tipForwardMin: 0,
       runConf: 0,
+      kickScore: 0,
+      chargeProgress: 0,
+      kickPower: 0,
+      kickAzimuth: 0,
+      kickLoft: 0,
       palmSize: 0,
       lastSeenTime: 0,
       chargeHeld: false,
       chargePending: false,
+      predicted: false,
+      handLost: false,
+      hand: null,
+      hands: null,
+      action: null,
+      qualityTier: this.governor.tier.name,
+      qualityLevel: this.governor.level,
     };
-    // CHARGE ホールド開始時刻（秒）。null の場合は未ホールド
-    this.chargeStartTime = null;
-  // CHARGE 後に次の非 NONE を KICK に変換するフラグ
-  this.chargePending = false;
-  // chargePending が有効な最終時刻（秒）
-  this.chargePendingUntil = 0;
-  // CHARGE が holdSec を満たして確定したかを表す内部フラグ
-  this.chargeHeld = false;
-  // KICK を最低限保持するための有効期限（秒）
-  this.kickHoldUntil = 0;
-  this.lastTriggerTime = 0;
-  this.lastSeenTime = 0; // 最後に手を検出した時刻（sec）
   this.noHandCount = 0;  // 連続で検出できなかったフレーム数
 
     // postMessage ガード/デバウンス用の状態
@@ -133,14 +136,15 @@ export class HandTracker {
         }
       } catch (e) { /* ignore */ }
       try {
-        if (!window.parent || window.parent === window) return; // same-window guard
+        if (!this.channel || !window.parent || window.parent === window) return; // same-window guard
         const now = (performance && performance.now) ? performance.now() : Date.now();
         // global cooldown: if too many posts in short time, enter cooldown to avoid recursion
         if (this._postCooldownUntil && now < this._postCooldownUntil) {
           if (typeof console !== 'undefined' && console.warn) console.warn('[HandTracker] postParent suppressed due to cooldown');
           return;
         }
-        const key = (msg && msg.type) ? msg.type : JSON.stringify(msg || {});
+        // 両手モードでは手ごとに別キーでデバウンスする
+        const key = (msg && msg.type) ? (msg.hand ? `${msg.type}:${msg.hand}` : msg.type) : JSON.stringify(msg || {});
         // choose conservative default on mobile if minIntervalMs not provided
         const defaultMin = this._isMobile ? 500 : 100;
         const minMs = (typeof minIntervalMs === 'number') ? minIntervalMs : defaultMin;
@@ -164,17 +168,36 @@ export class HandTracker {
         }
 
         this._lastPosted[key] = now;
-        // attach embed token if available to help host validate origin and prevent echo loops
-        try { if (msg && typeof msg === 'object' && typeof window.__EMBED_TOKEN === 'string') msg.__embedToken = window.__EMBED_TOKEN; } catch (e) {}
         // debug log to help detect loops
         if (typeof console !== 'undefined' && console.debug) console.debug('[HandTracker] postParent', key, msg);
-        window.parent.postMessage(msg, '*');
+        // 封筒（protocol/v/seq/ts/token）はチャネルが付ける
+        const { type, ...fields } = msg;
+        this.channel.send(type, fields);
       } catch (e) {
         // swallow errors to avoid crashing detection loop
       }
     };
-
-    // 推論入力用のオフスクリーン Canvas
+    this.relayToParent();
+
+    // ランドマーク記録/リプレイ（recorder.js）
+    this.recorder = null;
+    this.replaySource = null;
+    this.onReplayEnd = null;
+    // 直近フレームの投影ジオメトリ（映像サイズとビューポート CSS サイズ）
+    this.frameGeom = { videoW: 0, videoH: 0, viewW: 0, viewH: 0 };
+
+    // 推論の実行場所: 'worker'（WorkerHandDetector）/ 'main'（handLandmarker）。init() で決まる
+    this.useWorker = useWorker;
+    this.inferenceMode = null;
+    this.detector = null;
+    this.handLandmarker = null;
+    // 推論に実際に使ったアセットの URL（assets.js の種類 → URL）。Service Worker の事前キャッシュに渡す
+    this.assetUrls = {};
+    // init() の経過（起動診断用）: Worker 内で試した取得元の記録と、Worker を諦めた理由
+    // （メインスレッドで試した分は assets.js の assetAttempts()）
+    this.initInfo = { workerAttempts: [], workerError: null };
+
+    // 推論入力用のオフスクリーン Canvas（メインスレッド推論のみ）
     this.procCanvas = document.createElement('canvas');
     this.procCtx = this.procCanvas.getContext('2d', { willReadFrequently: true });
 
@@ -183,65 +206,76 @@ export class HandTracker {
     this.sceneTransform = { tx: 0, ty: 0, scale: 1 };
     // 0..1 smoothing factor (higher = snappier, lower = smoother/slower)
     this.sceneSmoothFactor = 0.12;
+    // 描画（オーバーレイとシーン追従）用のランドマーク平滑化。分類用（GESTURE_CFG.filter）とは別設定で、
+    // 見た目の落ち着きを優先して少し強めにかける。手ごと（left/right または検出順）に状態を持つ
+    this.drawFilter = { enabled: true, minCutoff: 1.0, beta: 4.0, dCutoff: 1.0 };
+    this.drawFilters = {};
     // Debug DOM element for CHARGE tuning (created lazily)
     this._dbgDiv = null;
   }
 
   async init() {
-    const { FilesetResolver, HandLandmarker } = await loadTasksVision();
-    // ベース URL は末尾スラッシュを保証
-    const ensureSlash = (s) => s.endsWith('/') ? s : (s + '/');
-    const bases = [
-      ensureSlash('./vendor/mediapipe/wasm'),
-      ensureSlash('https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.11/wasm'),
-      ensureSlash('https://unpkg.com/@mediapipe/tasks-vision@0.10.11/wasm'),
-    ];
-    let lastErr = null;
-    for (const base of bases) {
+    const numHands = this.twoHands ? 2 : 1;
+    // Unity と同じメインスレッドで推論すると両方が詰まるため、可能なら Worker で推論する
+    if (this.useWorker && supportsWorkerDetection()) {
+      const detector = new WorkerHandDetector({
+        numHands,
+        // 停止中に届いた結果は捨てる（再開直後に古い手の位置を使わない）
+        onResult: (res) => {
+          if (!this.running) return;
+          this.lastDetectResult = res;
+          this.lastDetectTiming = { capturedAt: epochMs(res.ts), detectedAt: epochMs(performance.now()) };
+        },
+        onError: (e) => this.fallbackToMainThread(e),
+      });
       try {
-        const filesetResolver = await FilesetResolver.forVisionTasks(base);
-        // モデルはローカル優先で候補を試す
-        const modelCandidates = [
-          `${bases[0]}hand_landmarker.task`,
-          `${base}hand_landmarker.task`,
-          // 公式 GCS の安定ミラー
-          'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-        ];
-        let modelPath = null;
-        for (const m of modelCandidates) {
-          try {
-            // fetch HEAD で存在確認（CORS 許容のため GET ではなく HEAD を試行）。失敗時は次へ。
-            const res = await fetch(m, { method: 'HEAD' });
-            if (res.ok) { modelPath = m; break; }
-          } catch (_) { /* try next */ }
-        }
-        if (!modelPath) throw new Error('No accessible hand_landmarker.task');
-        // 軽量化: デフォルトで numHands=1 にして負荷を抑える
-        this.handLandmarker = await HandLandmarker.createFromOptions(filesetResolver, {
-          baseOptions: { modelAssetPath: modelPath },
-          numHands: 1,
-          runningMode: 'VIDEO',
-          minHandDetectionConfidence: 0.35,
-          minHandPresenceConfidence: 0.35,
-          minTrackingConfidence: 0.5,
-        });
-        console.info('[HandLandmarker] initialized with base:', base, 'model:', modelPath);
-        return; // 成功
+        const { base, modelPath, assets, attempts } = await detector.init();
+        this.detector = detector;
+        this.assetUrls = assets;
+        this.initInfo.workerAttempts = attempts;
+        this.inferenceMode = 'worker';
+        console.info('[HandLandmarker] initialized in worker with base:', base, 'model:', modelPath);
+        return;
       } catch (e) {
-        lastErr = e;
+        console.warn('[HandLandmarker] worker init failed, falling back to main thread:', e);
+        this.initInfo.workerAttempts = e.attempts || [];
+        this.initInfo.workerError = { message: e.message, assetKind: e.assetKind || null };
       }
     }
-    throw lastErr || new Error('HandLandmarker の初期化に失敗しました');
+    await this.initMainThread();
+  }
+
+  async initMainThread() {
+    const { landmarker, base, modelPath, assets } = await createHandLandmarker({ numHands: this.twoHands ? 2 : 1 });
+    this.handLandmarker = landmarker;
+    this.assetUrls = assets;
+    this.inferenceMode = 'main';
+    console.info('[HandLandmarker] initialized with base:', base, 'model:', modelPath);
+  }
+
+  // 実行中に Worker が落ちたらメインスレッド推論に切り替える（切り替え中は前回の結果で描画を続ける）
+  fallbackToMainThread(err) {
+    console.warn('[HandLandmarker] worker failed, switching to main thread:', err);
+    this.detector = null;
+    this.inferenceMode = null;
+    this.initMainThread().catch((e) => console.error('[HandLandmarker] main thread init failed:', e));
   }
 
   start() {
     if (this.running) return;
     this.running = true;
-    this.processLoop();
+    // 停止中の経過時間をフレーム時間として governor に渡さない
+    this.lastLoopTime = null;
+    // stop() 直後に start() されても、前のループの requestAnimationFrame が二重に回らないようにする
+    const loopId = ++this.loopId;
+    this.processLoop(loopId);
   }
 
+  // ループを止めてオーバーレイを消す（状態機械はそのまま。初期化するなら resetState()）
   stop() {
     this.running = false;
+    this.loopId++;
+    this.ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
   }
 
   setMirror(m) {
@@ -249,22 +283,178 @@ export class HandTracker {
   }
 
   getInputSize() {
-    // 動的スケーリング: FPS が落ちたら入力を縮小
-    return this.fps >= CFG.minFPSForHighRes ? 320 : 256;
+    // 動的スケーリング: 負荷が高いティアほど入力を縮小
+    return this.governor.tier.inputSize;
+  }
+
+  // 検出間隔（ms）。設定値 detectIntervalMs を上限レートとして、ティアの検出レートまで落とす
+  getDetectInterval() {
+    return Math.max(this.detectIntervalMs, 1000 / this.governor.tier.detectHz);
   }
 
-  async processLoop() {
-    if (!this.running) return;
+  // ホストページ（Unity）のフレームレート。governor の判断材料にする
+  reportHostPerf(fps) {
+    this.governor.reportHostFps(fps, performance.now() / 1000);
+  }
+
+  // 状態機械とバッファを初期状態に戻す（リプレイを決定的にするため）
+  resetState() {
+    for (const c of this.classifiers) c.reset();
+    this.drawFilters = {};
+    this.handStates = { left: { state: 'NONE', confidence: 0 }, right: { state: 'NONE', confidence: 0 } };
+    this.combined = { hand: null, state: 'NONE', confidence: 0 };
+    this.emitted = {};
+    this.noHandCount = 0;
+    this.lastTs = null;
+    this.fps = 0;
+    this.lastDetectTime = 0;
+    this.lastDetectResult = null;
+    this.lastDetectTiming = null;
+  }
+
+  // KICK の発生方法を切り替える: 'charge'（CHARGE 解除）/ 'flick'（指の振り出し）/ 'both'
+  setKickMode(mode) {
+    if (!['charge', 'flick', 'both'].includes(mode)) throw new Error(`unknown kick mode: ${mode}`);
+    CFG.gesture.kick.mode = mode;
+  }
+
+  // flick KICK 用の学習済みモデルを読み込む。url 指定時は loadFromUrl、なければ localStorage の名前付きキー。
+  // 見つからなければ今のモデルのまま false を返す。kickModelSource は使用中のモデルの取得元（無ければ null）
+  async loadKickModel({ name = '', url = null } = {}) {
+    const source = url || kickModelKey(name);
+    const model = url ? await LogisticKickModel.loadFromUrl(url) : LogisticKickModel.loadFromLocalStorage(source);
+    if (!model) {
+      console.warn('[HandTracker] kick model not found:', source);
+      return false;
+    }
+    for (const c of this.classifiers) c.setKickModel(model);
+    this.kickModelSource = source;
+    return true;
+  }
+
+  // 両手モードの役割を設定する。roles: { left?: 'all'|'run'|'kick', right?: ... }
+  setHandRoles(roles = {}) {
+    for (const side of ['left', 'right']) {
+      if (roles[side] == null) continue;
+      if (!(roles[side] in HAND_ROLES)) throw new Error(`unknown hand role: ${roles[side]}`);
+      this.roles[side] = roles[side];
+    }
+    return { ...this.roles };
+  }
+
+  get classifiers() {
+    return this.twoHands ? [this.handClassifiers.left, this.handClassifiers.right] : [this.classifier];
+  }
+
+  // 保存済みキャリブレーションを読み込み、しきい値を反映する。見つからなければ false
+  loadCalibration(name) {
+    const profile = loadCalibrationProfile(name);
+    if (!profile) {
+      console.warn('[HandTracker] calibration profile not found:', name);
+      return false;
+    }
+    this.setCalibration(profile);
+    console.info('[HandTracker] calibration profile loaded:', profile.name || '(default)');
+    return true;
+  }
+
+  // キャリブレーションプロファイルを使う。しきい値を反映して calibration イベントを出す（RuntimeConfig が既定値として取り込む）
+  setCalibration(profile) {
+    applyCalibration(CFG.gesture, profile.values);
+    this.calibration = profile;
+    this.emit('calibration', { name: profile.name, values: profile.values });
+  }
+
+  // 分類器が参照するジェスチャ設定（キャリブレーションのプレビューで使う）
+  get gestureCfg() { return CFG.gesture; }
+
+  // 分類器の状態（従来どおり tracker から参照できるようにする）。両手モードでは左右をまとめた状態
+  get state() { return this.twoHands ? this.combined.state : this.classifier.state; }
+  get stateConf() { return this.twoHands ? this.combined.confidence : this.classifier.stateConf; }
+  get landmarksBuf() { return this.classifier.landmarksBuf; }
+  get lastSeenTime() { return Math.max(...this.classifiers.map((c) => c.lastSeenTime)); }
+
+  // landmarksBuf に積まれるストリームの記録を開始する
+  startRecording() {
+    this.recorder = new LandmarkRecorder({ mirror: this.mirror, twoHands: this.twoHands });
+    this.recorder.start();
+  }
+
+  // 記録を終了し、JSON 化可能な記録オブジェクトを返す（未記録なら null）
+  stopRecording() {
+    if (!this.recorder) return null;
+    const rec = this.recorder.stop();
+    this.recorder = null;
+    return rec;
+  }
+
+  // 記録をカメラ無しで processLoop に流す（描画ループ毎に 1 フレーム）
+  startReplay(recording, { onEnd } = {}) {
+    this.stop();
+    this.resetState();
+    this.replaySource = new ReplaySource(recording);
+    this.onReplayEnd = onEnd || null;
+    this.start();
+  }
+
+  // 記録を同期的に最後まで流し、フレーム毎の状態列を返す（回帰比較用）
+  runReplay(recording) {
+    this.stop();
+    this.resetState();
+    this.replaySource = new ReplaySource(recording);
+    this.onReplayEnd = null;
+    const out = [];
+    while (this.replayStep()) {
+      out.push({
+        t: this.actionState.ts,
+        state: this.state,
+        confidence: this.stateConf,
+        charge: this.actionState.charge,
+        chargeHeld: this.actionState.chargeHeld,
+        chargePending: this.actionState.chargePending,
+        runConf: this.actionState.runConf,
+        hand: this.actionState.hand,
+        action: this.actionState.action,
+      });
+    }
+    return out;
+  }
+
+  // リプレイを 1 フレーム進める。終端に達したら false
+  replayStep() {
+    const src = this.replaySource;
+    const frame = src ? src.next() : null;
+    if (!frame) {
+      this.replaySource = null;
+      this.running = false;
+      this.onReplayEnd && this.onReplayEnd(src);
+      return false;
+    }
+    this.frameTiming = null;
+    this.processFrame(frame.t * 1000, frameHands(frame), frame);
+    return true;
+  }
+
+  async processLoop(loopId = this.loopId) {
+    if (!this.running || loopId !== this.loopId) return;
+    if (this.replaySource) {
+      if (this.replayStep()) requestAnimationFrame(() => this.processLoop(loopId));
+      return;
+    }
     const now = performance.now();
-    const dt = (now - this.lastTs) / 1000;
-    this.lastTs = now;
-    this.fps = lerp(this.fps || 30, 1 / Math.max(dt, 1e-3), 0.1);
+    if (this.lastLoopTime != null) {
+      this.governor.sample(now / 1000, {
+        frameMs: now - this.lastLoopTime,
+        detectLatencyMs: this.detector ? this.detector.stats.lastLatencyMs : this.lastDetectLatencyMs,
+      });
+    }
+    this.lastLoopTime = now;
 
   const video = this.video;
   const size = this.getInputSize();
     let lmResult = null;
     if (video.videoWidth > 0 && video.videoHeight > 0) {
-      // オフスクリーン Canvas にダウンサンプリングして渡す
+      // 推論入力サイズにダウンサンプリングして渡す
       const vw = video.videoWidth;
       const vh = video.videoHeight;
       const aspect = vw / vh;
@@ -274,16 +464,26 @@ export class HandTracker {
       } else { // 縦長
         ph = size; pw = Math.round(size * aspect);
       }
-      this.procCanvas.width = pw;
-      this.procCanvas.height = ph;
-      this.procCtx.drawImage(video, 0, 0, pw, ph);
       // 検出はスロットルして実行。検出は遅延実行されるが、描画は直前の結果を使う。
-      const shouldDetect = (now - this.lastDetectTime) >= this.detectIntervalMs;
-      if (shouldDetect) {
+      const shouldDetect = (now - this.lastDetectTime) >= this.getDetectInterval();
+      if (this.detector) {
+        // Worker 推論: フレームを渡すだけで待たない。処理中なら捨て、結果は届いた時点で lastDetectResult に入る
+        if (shouldDetect && this.detector.detect(video, pw, ph, now)) this.lastDetectTime = now;
+        lmResult = this.lastDetectResult;
+      } else if (!this.handLandmarker) {
+        // メインスレッドへ切り替え中
+        lmResult = this.lastDetectResult;
+      } else if (shouldDetect) {
+        this.procCanvas.width = pw;
+        this.procCanvas.height = ph;
+        this.procCtx.drawImage(video, 0, 0, pw, ph);
         try {
+          const t0 = performance.now();
           const res = await this.handLandmarker.detectForVideo(this.procCanvas, now);
+          this.lastDetectLatencyMs = performance.now() - t0;
           this.lastDetectTime = now;
           this.lastDetectResult = res;
+          this.lastDetectTiming = { capturedAt: epochMs(now), detectedAt: epochMs(performance.now()) };
           lmResult = res;
         } catch (e) {
           // 検出失敗時は前回の結果を使用
@@ -295,6 +495,153 @@ export class HandTracker {
       }
     }
 
+    // 0..1 正規化座標（鏡反転のみ適用、ピクセル変換は描画・分類時に行う）
+    const hands = (lmResult && lmResult.landmarks)
+      ? lmResult.landmarks.map((lm, i) => ({ hand: this.handSide(lmResult, i), lm: this.normalizeLandmarks01(lm, this.mirror) }))
+      : [];
+    // スロットル中は前回の検出を使い回すので、timing も元の検出のもの（待った分は送信までの時間に出る）
+    this.frameTiming = lmResult ? this.lastDetectTiming : null;
+    this.processFrame(now, hands, { videoW: video.videoWidth, videoH: video.videoHeight });
+
+    // 次フレーム
+    requestAnimationFrame(() => this.processLoop(loopId));
+  }
+
+  // MediaPipe の handedness は入力が鏡像（自撮り）である前提のラベルだが、検出器には
+  // 反転前の映像を渡しているので逆になる。ユーザから見た 'left' / 'right' に直して返す
+  handSide(lmResult, i) {
+    const list = lmResult.handednesses || lmResult.handedness || [];
+    const name = list[i] && list[i][0] && list[i][0].categoryName;
+    if (name === 'Left') return 'right';
+    if (name === 'Right') return 'left';
+    return null;
+  }
+
+  // 検出された手を左右に割り当てる。ラベルが無い/重複した場合は画面上の位置で決める
+  // （手首の x が小さい方が、鏡表示ならユーザの左手、非鏡表示なら右手）
+  assignHands(hands) {
+    const out = { left: null, right: null };
+    const rest = [];
+    for (const h of hands) {
+      if (h.hand && !out[h.hand]) out[h.hand] = h.lm;
+      else rest.push(h);
+    }
+    rest.sort((a, b) => a.lm[0].x - b.lm[0].x);
+    const order = this.mirror ? ['left', 'right'] : ['right', 'left'];
+    for (const h of rest) {
+      const side = order.find((sd) => !out[sd]);
+      if (!side) break;
+      out[side] = h.lm;
+    }
+    return out;
+  }
+
+  // 両手モードの分類。左右の分類器を更新し、役割で状態を絞ってから手ごとにイベントを出す。
+  // 戻り値は優先度（KICK > CHARGE > RUN）でまとめた手の結果に hand / hands を足したもの
+  updateHands(t, hands) {
+    const assigned = this.assignHands(hands);
+    const perHand = {};
+    for (const side of ['left', 'right']) {
+      const r = this.handClassifiers[side].update(t, assigned[side], this.frameGeom);
+      const role = this.roles[side];
+      const state = filterStateForRole(r.state, role);
+      const confidence = state === r.state ? r.confidence : 0;
+      this.handStates[side] = { state, confidence };
+      perHand[side] = { ...r, state, confidence, role, visible: !!assigned[side] };
+      // 溜めの進み具合は CHARGE を出せる役割の手だけ、単発の動作も役割で許可されたものだけ
+      this.emitHandEvents(side, perHand[side], t, {
+        chargeProgress: filterStateForRole('CHARGE', role) === 'CHARGE',
+        actions: (type) => actionAllowedForRole(type, role),
+      });
+    }
+    this.combined = mergeHandStates(['left', 'right'].map((hand) => ({ hand, ...this.handStates[hand] })));
+    this.emitStateChange('all', null, this.combined, t);
+    const main = perHand[this.combined.hand] || perHand.right;
+    return { ...main, hand: this.combined.hand, hands: perHand };
+  }
+
+  emit(type, detail) {
+    const timing = this.frameTiming ? { timing: this.frameTiming } : {};
+    this.dispatchEvent(new CustomEvent(type, { detail: { ...detail, at: Date.now(), ...timing } }));
+  }
+
+  // 分類結果 r（手 1 つ分、役割で絞った後）からイベントを出す。遷移の判定は直前に出した状態との比較で、ここだけで行う
+  emitHandEvents(hand, r, t, { chargeProgress = true, actions = () => true } = {}) {
+    for (const ev of r.events) {
+      if (ev.type === 'hand_lost') this.emit('handlost', { hand, ts: t, lastSeenTime: ev.lastSeenTime, lastSeenAt: Math.round(Date.now() - (t - ev.lastSeenTime) * 1000) });
+      else if (ev.type === 'hand_found') this.emit('handfound', { hand, ts: t, lostSec: ev.lostSec, lostMs: Math.round(ev.lostSec * 1000) });
+      else if (ACTION_GESTURES.includes(ev.type) && actions(ev.type)) {
+        const { type, ...fields } = ev;
+        this.emit(type, { hand, ts: t, ...fields });
+      }
+    }
+    const prev = this.emitted[hand || 'all'];
+    const prevState = prev ? prev.state : 'NONE';
+    if (r.state !== prevState) {
+      if (prevState === 'CHARGE') {
+        this.emit('chargerelease', { hand, ts: t, state: r.state, kicked: r.state === 'KICK', heldSec: t - prev.chargeStart });
+      }
+      this.emitStateChange(hand || 'all', hand, r, t);
+      if (r.state === 'CHARGE') {
+        this.emitted[hand || 'all'].chargeStart = t;
+        this.emit('chargestart', { hand, ts: t });
+      }
+      if (r.state === 'KICK') {
+        this.emit('kick', { hand, ts: t, confidence: r.confidence, power: r.kickPower, azimuth: r.kickAzimuth, loft: r.kickLoft });
+      }
+    }
+    // 進み具合は chargestart の後に出す
+    if (chargeProgress) {
+      for (const ev of r.events) if (ev.type === 'charge_progress') this.emit('chargeprogress', { hand, ts: t, progress: ev.progress });
+    }
+    if (r.state === 'RUN') this.emit('runupdate', { hand, ts: t, confidence: r.confidence, runConf: r.runConf || 0 });
+  }
+
+  // key の状態が変わっていれば statechange を出す（KICK なら強さと方向も付ける）
+  emitStateChange(key, hand, r, t) {
+    const prev = this.emitted[key];
+    const prevState = prev ? prev.state : 'NONE';
+    if (r.state === prevState) return;
+    this.emitted[key] = { state: r.state, chargeStart: null };
+    const detail = { hand, ts: t, state: r.state, prevState, confidence: r.confidence };
+    if (r.state === 'KICK' && 'kickPower' in r) Object.assign(detail, { power: r.kickPower, azimuth: r.kickAzimuth, loft: r.kickLoft });
+    this.emit('statechange', detail);
+  }
+
+  // 遷移・溜め・見失いのイベントをホストページへ送る（送るのは手ごとの遷移。両手をまとめた状態は送らない）
+  relayToParent() {
+    // 手（両手モード）と元フレームの timing を付ける
+    const stamp = (d, msg) => ({ ...msg, ...(d.hand ? { hand: d.hand } : {}), ...(d.timing ? { timing: d.timing } : {}) });
+    this.addEventListener('statechange', ({ detail: d }) => {
+      if (this.twoHands ? !d.hand : d.hand) return;
+      const msg = { type: STATE_MESSAGE_TYPE[d.state], confidence: d.confidence };
+      if (d.state === 'KICK') Object.assign(msg, { power: d.power, azimuth: d.azimuth, loft: d.loft });
+      this.postParent(stamp(d, msg));
+    });
+    this.addEventListener('chargeprogress', ({ detail: d }) => {
+      this.postParent(stamp(d, { type: 'charge_progress', progress: d.progress }), CHARGE_PROGRESS_MIN_MS);
+    });
+    // 見失い/再検出はデバウンスで取りこぼさないよう間隔制限なし
+    this.addEventListener('handlost', ({ detail: d }) => this.postParent(stamp(d, { type: 'hand_lost', lastSeenAt: d.lastSeenAt }), 0));
+    this.addEventListener('handfound', ({ detail: d }) => this.postParent(stamp(d, { type: 'hand_found', lostMs: d.lostMs }), 0));
+    // 単発の動作は分類器が種類ごとに debounceSec で間引いているので、ここでは間隔制限なし
+    for (const type of ACTION_GESTURES) {
+      this.addEventListener(type, ({ detail: d }) => {
+        const msg = { type, confidence: d.confidence };
+        if (type === 'pass') Object.assign(msg, { direction: d.direction, azimuth: d.azimuth });
+        this.postParent(stamp(d, msg), 0);
+      });
+    }
+  }
+
+  // 検出済み（またはリプレイ）のランドマーク 1 フレーム分を処理する。
+  // hands: [{ hand: 'left'|'right'|null, lm }]（手が無いフレームは空配列）
+  // geom: { videoW, videoH, viewW?, viewH? }。viewW/H 未指定時は overlay の CSS サイズを使う。
+  processFrame(now, hands, geom = {}) {
+    const dt = (this.lastTs == null) ? this.detectIntervalMs / 1000 : (now - this.lastTs) / 1000;
+    this.lastTs = now;
+    this.fps = lerp(this.fps || 30, 1 / Math.max(dt, 1e-3), 0.1);
+
     const canvas = this.overlay;
     const ctx = this.ctx;
     // DPR 対応: 実描画サイズを CSS ピクセルに一致させる
@@ -308,158 +655,43 @@ export class HandTracker {
     ctx.setTransform(dpr, 0, 0, dpr, 0, 0); // 以降は CSS ピクセル系で描く
     ctx.clearRect(0, 0, cssW, cssH);
 
-  let normalizedLandmarks = null;
-  let isCharge = false;
-  // isAnyBend: CHARGE より緩い閾値でわずかな曲がりを検出し、KICK を抑止するために使う
-  let isAnyBend = false;
-  if (lmResult && lmResult.landmarks && lmResult.landmarks[0]) {
-      // 0..1 正規化座標（鏡反転のみ適用、ピクセル変換は描画・分類時に行う）
-      const hands = lmResult.landmarks.map(lm => this.normalizeLandmarks01(lm, this.mirror));
-      normalizedLandmarks = hands[0];
-      this.landmarksBuf.push({ t: now / 1000, lm: normalizedLandmarks });
-      this.lastSeenTime = now / 1000;
-      // 2D 描画（片手のみ表示）
-      this.drawLandmarks(ctx, normalizedLandmarks, cssW, cssH, video.videoWidth, video.videoHeight);
-      // CHARGE 判定: 人差し指の PIP(6) を基準に MCP(5) と DIP(7) との角度を測る
-      // さらに中指(PIP 10, MCP 9, DIP 11) も同様に CHARGE として扱う
-      try {
-        // Use normalized 3D coordinates for angle checks (more robust / scale-invariant)
-        const n = normalizedLandmarks;
-        const angle3 = (ax, ay, az, bx, by, bz) => {
-          const da = Math.hypot(ax, ay, az);
-          const db = Math.hypot(bx, by, bz);
-          if (da < 1e-6 || db < 1e-6) return Math.PI;
-          let dot = (ax * bx + ay * by + az * bz) / (da * db);
-          dot = Math.max(-1, Math.min(1, dot));
-          return Math.acos(dot);
-        };
-
-        // helper to compute angle at center between a->center and b->center using normalized coords
-        const angleAt = (idxA, idxCenter, idxB) => {
-          const a = n[idxA] || { x: 0, y: 0, z: 0 };
-          const c = n[idxCenter] || { x: 0, y: 0, z: 0 };
-          const b = n[idxB] || { x: 0, y: 0, z: 0 };
-          const ax = a.x - c.x, ay = a.y - c.y, az = (a.z || 0) - (c.z || 0);
-          const bx = b.x - c.x, by = b.y - c.y, bz = (b.z || 0) - (c.z || 0);
-          return angle3(ax, ay, az, bx, by, bz);
-        };
-
-        const idx = {
-          wrist: 0, idxMCP: 5, idxPIP: 6, idxDIP: 7, idxTIP: 8,
-          midMCP: 9, midPIP: 10, midDIP: 11, midTIP: 12
-        };
-
-  const indexPipAng = angleAt(idx.idxMCP, idx.idxPIP, idx.idxDIP);
-  const indexMcpAng = angleAt(idx.wrist, idx.idxMCP, idx.idxPIP);
-  const midPipAng = angleAt(idx.midMCP, idx.midPIP, idx.midDIP);
-  const midMcpAng = angleAt(idx.wrist, idx.midMCP, idx.midPIP);
-
-  // Finger-level bend: use PIP (第2関節) のみで判定する（ユーザ指定）
-  const indexBent = (indexPipAng < CFG.charge.angleThresholdRad);
-  const midBent = (midPipAng < CFG.charge.angleThresholdRad);
-  // CHARGE if either index or middle finger PIP is bent
-  isCharge = indexBent || midBent;
-
-  // anyBend: use PIP only for suppressing KICK
-  const anyBendIndex = (indexPipAng < (CFG.charge.anyBendAngleRad || CFG.charge.angleThresholdRad));
-  const anyBendMid = (midPipAng < (CFG.charge.anyBendAngleRad || CFG.charge.angleThresholdRad));
-  isAnyBend = anyBendIndex || anyBendMid;
-
-        // Debugging: removed embedded overlay per user request (HUD removed).
-      } catch (e) {
-        // ignore errors in charge calc but keep flag false
-        isCharge = false;
+    // 分類で使う投影ジオメトリ（リプレイ時は記録時の値を使う）
+    this.frameGeom = {
+      videoW: geom.videoW || 0,
+      videoH: geom.videoH || 0,
+      viewW: geom.viewW || cssW,
+      viewH: geom.viewH || cssH,
+    };
+    if (this.recorder) this.recorder.push(now / 1000, hands, this.frameGeom);
+
+    // 描画用に平滑化した点（分類器には生の点を渡し、分類器側の設定で平滑化する）
+    const drawnHands = hands.map((h, i) => this.smoothForDrawing(h.hand || String(i), h.lm, now / 1000));
+    const overlayMode = this.governor.tier.overlay;
+    if (hands.length) {
+      // 2D 描画（検出された手すべて）。最も軽いティアでは描かない
+      if (overlayMode !== 'off') {
+        for (const lm of drawnHands) this.drawLandmarks(ctx, lm, cssW, cssH, this.frameGeom.videoW, this.frameGeom.videoH, overlayMode === 'points');
       }
       this.noHandCount = 0;
     } else {
       // 手が見えない → NONE へ収束
-      normalizedLandmarks = null;
       this.noHandCount++;
     }
+    // シーン追従用: 両手ならすべての点をまとめた範囲に合わせる
+    const normalizedLandmarks = hands.length ? drawnHands.flat() : null;
 
-  // ジェスチャ分類（最新のバッファから） -- classify はメトリクスも返す
-  // 引数 suppressKick を通じて、指が曲がっている場合は KICK 判定を抑止する
-  // suppressKick フラグには、CHARGE の閾値はそのままに「わずかな曲がり」を示す isAnyBend を渡す
-  const { state, confidence, tipSpeedPeak, tipForwardMin, runConf, palmSize } = this.classify(now / 1000, isAnyBend);
-    // CHARGE 表示フラグ (isCharge) は HUD/actionState 用であり，
-    // 直接 this.state を書き換えない（RUN/NONE/KICK の判定に影響を与えない）
-    // ただし，CHARGE が所定時間保持された（chargeHeld）あとに解除されたら
-    // 次の非 NONE を KICK に変換する既存の挙動は維持する。
-    const nowSecFloat = now / 1000;
-    if (isCharge) {
-      if (this.chargeStartTime === null) this.chargeStartTime = nowSecFloat;
-      const held = (nowSecFloat - this.chargeStartTime) >= (CFG.charge.holdSec || 0.5);
-      if (held) this.chargeHeld = true;
-    } else {
-      // CHARGE が解除されたとき、hold が成立していたら次の非 NONE を KICK にするフラグを立てる
-      if (this.chargeHeld) {
-        this.chargePending = true;
-  // 1.0 秒間だけ有効にする
-  this.chargePendingUntil = nowSecFloat + 1.0;
-      }
-      this.chargeHeld = false;
-      this.chargeStartTime = null;
-    }
-
-    // state は基本的には classify() の結果を使うが、
-    // CHARGE が確定（hold 成立）している間は HUD/状態として 'CHARGE' を優先表示する
-    const desiredState = this.chargeHeld ? 'CHARGE' : state;
-    const desiredConf = this.chargeHeld ? 1.0 : confidence;
-
-    // 既に KICK 中であれば、kickHoldUntil を尊重して一定時間は KICK を継続する
-    if (this.state === 'KICK' && nowSecFloat <= (this.kickHoldUntil || 0)) {
-      // 維持: 何もしない（ただし表示確度は最大にしておく）
-      this.state = 'KICK';
-      this.stateConf = 1.0;
-    } else if (desiredState === 'KICK' && this.state !== 'KICK') {
-      // 新たに KICK へ遷移した -> 保持期限を設定
-      this.state = 'KICK';
-      this.stateConf = desiredConf;
-      this.kickHoldUntil = nowSecFloat + 1.0;
-      // KICK 遷移時は即座に送信
-      if (this.prevState !== 'KICK') {
-          this.postParent({ type: 'kick', confidence: this.stateConf });
-        }
+    // ジェスチャ分類（CHARGE/KICK の状態機械を含む）。分類は基準ビューポートで行うため画面サイズに依存しない
+    let res;
+    if (this.twoHands) {
+      res = this.updateHands(now / 1000, hands);
     } else {
-      this.state = desiredState;
-      this.stateConf = desiredConf;
-
-      // 状態が変化したときのみメッセージ送信（重複送信を回避）
-      if (this.prevState !== this.state) {
-        if (this.state === 'KICK') {
-            this.postParent({ type: 'kick', confidence: this.stateConf });
-        } else if (this.state === 'RUN') {
-            this.postParent({ type: 'run', confidence: this.stateConf });
-        } else if (this.state === 'CHARGE') {
-            this.postParent({ type: 'charge', confidence: this.stateConf });
-        } else if (this.state === 'IDLE' || this.state === 'NONE') {
-            this.postParent({ type: 'idle', confidence: this.stateConf });
-        }
-      }
-      this.prevState = this.state;
+      res = this.classifier.update(now / 1000, hands[0] ? hands[0].lm : null, this.frameGeom);
+      this.emitHandEvents(null, res, now / 1000);
     }
+    const isCharge = res.charge;
+    const { tipSpeedPeak, tipForwardMin, runConf, palmSize } = res;
 
-     // chargePending が立っていれば、次のフレームで必ず KICK に遷移
-    if (this.chargePending) {
-      if (nowSecFloat > (this.chargePendingUntil || 0)) {
-        // 期限切れ
-        this.chargePending = false;
-        this.chargePendingUntil = 0;
-      } else {
-        // 強制 KICK（chargePending）: KICK に上書きし、保持期限を設定
-        const wasKick = this.state === 'KICK';
-        this.state = 'KICK';
-        this.stateConf = 1.0;
-        this.kickHoldUntil = nowSecFloat + 1.0;
-        this.chargePending = false;
-        this.chargePendingUntil = 0;
-        // 新規KICK遷移時のみメッセージ送信
-        if (!wasKick) {
-            this.postParent({ type: 'kick', confidence: this.stateConf });
-        }
-      }
-    }
-// 更新されたアクション状態を組み立てて onResult に渡す
+// 更新されたアクション状態を組み立てて frame イベントで渡す
   this.actionState.state = this.state;
   this.actionState.confidence = this.stateConf;
   this.actionState.charge = isCharge;
@@ -469,12 +701,26 @@ export class HandTracker {
   this.actionState.tipSpeedPeak = tipSpeedPeak || 0;
   this.actionState.tipForwardMin = tipForwardMin || 0;
   this.actionState.runConf = runConf || 0;
+  this.actionState.kickScore = res.kickScore || 0;
+  this.actionState.chargeProgress = res.chargeProgress || 0;
+  this.actionState.kickPower = res.kickPower || 0;
+  this.actionState.kickAzimuth = res.kickAzimuth || 0;
+  this.actionState.kickLoft = res.kickLoft || 0;
   this.actionState.palmSize = palmSize || 0;
-  this.actionState.lastSeenTime = this.lastSeenTime;
-  this.actionState.chargeHeld = !!this.chargeHeld;
-  this.actionState.chargePending = !!(this.chargePending && nowSecFloat <= this.chargePendingUntil);
-
-  this.onResult && this.onResult({ fps: this.fps, state: this.state, confidence: this.stateConf, charge: isCharge, actionState: this.actionState });
+  this.actionState.lastSeenTime = res.lastSeenTime;
+  this.actionState.chargeHeld = res.chargeHeld;
+  this.actionState.chargePending = res.chargePending;
+  // 見失い中の外挿で分類している（predicted）/ 猶予を過ぎて見失った（handLost）
+  this.actionState.predicted = !!res.predicted;
+  this.actionState.handLost = !!res.handLost;
+  this.actionState.hand = res.hand || null;
+  // このフレームで出た単発の動作（'pass' / 'jump' / 'feint'、無ければ null）
+  this.actionState.action = res.action || null;
+  this.actionState.hands = res.hands ? this.summarizeHands(res.hands) : null;
+  this.actionState.qualityTier = this.governor.tier.name;
+  this.actionState.qualityLevel = this.governor.level;
+
+  this.emit('frame', { ts: now / 1000, fps: this.fps, state: this.state, confidence: this.stateConf, charge: isCharge, hand: this.actionState.hand, hands: this.actionState.hands, actionState: this.actionState });
   // デバッグ HUD 表示 (DOM 側へ移動)。
   this.drawHUD(this.ctx, this.overlay, this.fps, !!normalizedLandmarks, isCharge);
 
@@ -482,9 +728,26 @@ export class HandTracker {
   try {
     this.updateSceneTransform(normalizedLandmarks);
   } catch (e) { /* ignore */ }
+  }
 
-    // 次フレーム
-    requestAnimationFrame(() => this.processLoop());
+  smoothForDrawing(key, lm, t) {
+    if (!this.drawFilters[key]) this.drawFilters[key] = new LandmarkFilter(this.drawFilter, { maxGapSec: CFG.gesture.staleSec });
+    else this.drawFilters[key].configure(this.drawFilter, { maxGapSec: CFG.gesture.staleSec });
+    return this.drawFilters[key].filter(lm, t);
+  }
+
+  // 手ごとの状態をゲーム側へ渡す形に絞る
+  summarizeHands(perHand) {
+    const out = {};
+    for (const [side, r] of Object.entries(perHand)) {
+      out[side] = {
+        state: r.state, confidence: r.confidence, role: r.role, visible: r.visible, charge: !!r.charge, runConf: r.runConf || 0,
+        predicted: !!r.predicted, handLost: !!r.handLost,
+        chargeProgress: r.chargeProgress || 0, kickPower: r.state === 'KICK' ? (r.kickPower || 0) : 0,
+        kickAzimuth: r.state === 'KICK' ? (r.kickAzimuth || 0) : 0, kickLoft: r.state === 'KICK' ? (r.kickLoft || 0) : 0,
+      };
+    }
+    return out;
   }
 
   // hand preview intentionally removed to simplify UI (was previously drawHandPreview)
@@ -492,10 +755,10 @@ export class HandTracker {
   updateSceneTransform(normalizedLandmarks) {
     const scene = document.getElementById('scene');
     if (!scene) return;
-    const video = this.video;
     const overlay = this.overlay;
     const cssW = overlay.clientWidth || window.innerWidth;
     const cssH = overlay.clientHeight || window.innerHeight;
+    const geom = this.frameGeom || {};
 
     if (!normalizedLandmarks || !normalizedLandmarks[0]) {
       // smoothly reset transform to identity
@@ -507,8 +770,8 @@ export class HandTracker {
       return;
     }
     // compute mapping used by drawLandmarks (object-fit: cover handling)
-    const videoW = video.videoWidth || cssW;
-    const videoH = video.videoHeight || cssH;
+    const videoW = geom.videoW || cssW;
+    const videoH = geom.videoH || cssH;
     const aspectV = videoW / Math.max(1, videoH);
     const aspectC = cssW / Math.max(1, cssH);
     const s = aspectC >= aspectV ? (cssW / Math.max(1, videoW)) : (cssH / Math.max(1, videoH));
@@ -517,11 +780,9 @@ export class HandTracker {
     const offX = (cssW - drawW) / 2;
     const offY = (cssH - drawH) / 2;
 
-    // Build bounding box of landmarks (ensure fingertips included)
-    const indices = Array.from({ length: 21 }, (_, i) => i); // 0..20
+    // Build bounding box of landmarks (all points of every hand, fingertips included)
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    for (const i of indices) {
-      const p = normalizedLandmarks[i];
+    for (const p of normalizedLandmarks) {
       if (!p) continue;
       const px = offX + p.x * drawW;
       const py = offY + p.y * drawH;
@@ -584,7 +845,8 @@ export class HandTracker {
     }));
   }
 
-  drawLandmarks(ctx, lm, cssW, cssH, videoW, videoH) {
+  // pointsOnly: 骨格の線を省いて点だけ描く（軽量ティア）
+  drawLandmarks(ctx, lm, cssW, cssH, videoW, videoH, pointsOnly = false) {
     // video の object-fit: cover を考慮して正しく投影
     const aspectV = videoW / Math.max(1, videoH);
     const aspectC = cssW / Math.max(1, cssH);
@@ -611,12 +873,14 @@ export class HandTracker {
       [13, 17], [17, 18], [18, 19], [19, 20],
       [0, 17]
     ];
-    ctx.beginPath();
-    for (const [a, b] of pairs) {
-      ctx.moveTo(screen[a].x, screen[a].y);
-      ctx.lineTo(screen[b].x, screen[b].y);
+    if (!pointsOnly) {
+      ctx.beginPath();
+      for (const [a, b] of pairs) {
+        ctx.moveTo(screen[a].x, screen[a].y);
+        ctx.lineTo(screen[b].x, screen[b].y);
+      }
+      ctx.stroke();
     }
-    ctx.stroke();
 
     for (const p of screen) {
       ctx.beginPath();
@@ -631,128 +895,4 @@ export class HandTracker {
     }
     ctx.restore();
   }
-
-  classify(nowSec, suppressKick = false) {
-    const windowLen = CFG.windowSec;
-    const arr = this.landmarksBuf.toArray().filter((e) => nowSec - e.t <= windowLen);
-    if (arr.length < 4) return { state: 'NONE', confidence: 0 };
-    // 最終観測が古い場合は NONE
-    const lastT = arr[arr.length - 1].t;
-    if (nowSec - lastT > 0.25) return { state: 'NONE', confidence: 0 };
-
-    // 画面への投影スケール（px）を計算（object-fit: cover 対応）
-    const cssW = this.overlay.clientWidth || window.innerWidth;
-    const cssH = this.overlay.clientHeight || window.innerHeight;
-    const vw = this.video.videoWidth || cssW;
-    const vh = this.video.videoHeight || cssH;
-    const s = (cssW / Math.max(1, vw)) >= (cssH / Math.max(1, vh)) ? (cssW / Math.max(1, vw)) : (cssH / Math.max(1, vh));
-    const drawW = vw * s;
-    const drawH = vh * s;
-    const offX = (cssW - drawW) / 2;
-    const offY = (cssH - drawH) / 2;
-
-    // ピクセル座標系列を構築
-    const idx8 = 8, idx12 = 12, idx0 = 0, idx4 = 4, idx5 = 5, idx9 = 9, idx13 = 13, idx17 = 17;
-    const time = arr.map((e) => e.t);
-    const y8 = arr.map((e) => offY + e.lm[idx8].y * drawH);
-    const y12 = arr.map((e) => offY + e.lm[idx12].y * drawH);
-    const wrist = arr.map((e) => ({ x: offX + e.lm[idx0].x * drawW, y: offY + e.lm[idx0].y * drawH }));
-    const thumb4 = arr.map((e) => ({ x: offX + e.lm[idx4].x * drawW, y: offY + e.lm[idx4].y * drawH }));
-
-    // 手の甲中心とサイズ（掌基部 5,9,13,17 + 手首0 の重心と広がり）
-    const palmCenters = arr.map((e) => {
-      const pts = [idx0, idx5, idx9, idx13, idx17].map(i => ({ x: offX + e.lm[i].x * drawW, y: offY + e.lm[i].y * drawH }));
-      const cx = pts.reduce((s, p) => s + p.x, 0) / pts.length;
-      const cy = pts.reduce((s, p) => s + p.y, 0) / pts.length;
-      const d = pts.map(p => Math.hypot(p.x - cx, p.y - cy));
-      const palmSize = d.reduce((s, v) => s + v, 0) / Math.max(1, d.length);
-      return { x: cx, y: cy, size: Math.max(1, palmSize) };
-    });
-
-    // RUN の周期測定は廃止（ユーザー要望）。
-
-    // 指先（人差し指 8 と 中指 12）
-    const tipIndex = arr.map((e) => ({ x: offX + e.lm[idx8].x * drawW, y: offY + e.lm[idx8].y * drawH }));
-  const tipIndexZ = arr.map((e) => (e.lm[idx8].z ?? 0));
-    const tipIndexVx = diffSeries(time, tipIndex.map(p => p.x));
-    const tipIndexVy = diffSeries(time, tipIndex.map(p => p.y));
-    const tipIndexSpeed = tipIndexVx.map((v, i) => Math.hypot(v, tipIndexVy[i]));
-  const tipIndexVz = diffSeries(time, tipIndexZ);
-
-    const tipMid = arr.map((e) => ({ x: offX + e.lm[idx12].x * drawW, y: offY + e.lm[idx12].y * drawH }));
-  const tipMidZ = arr.map((e) => (e.lm[idx12].z ?? 0));
-    const tipMidVx = diffSeries(time, tipMid.map(p => p.x));
-    const tipMidVy = diffSeries(time, tipMid.map(p => p.y));
-    const tipMidSpeed = tipMidVx.map((v, i) => Math.hypot(v, tipMidVy[i]));
-  const tipMidVz = diffSeries(time, tipMidZ);
-
-    // combine: pick the maximum peak among index and middle
-    const tipSpeed = tipIndexSpeed.concat(tipMidSpeed);
-    const tipVz = tipIndexVz.concat(tipMidVz);
-    const tipSpeedPeak = Math.max(...tipIndexSpeed, ...tipMidSpeed);
-    const tipForwardMin = Math.min(...tipIndexVz, ...tipMidVz);
-
-  // KICK 判定（速度による自動遷移）を無効化。
-  // 仕様変更: KICK へ遷移するのは CHARGE が終了したときのみとするため、
-  // ここでの tipSpeed による自動 KICK 判定は行わない。
-  // tipSpeedPeak と tipForwardMin は保持しておくが、自動判定は無効。
-    let kickScore = 0;
-
-    // RUN（簡素化）: KICK でない限りすべて RUN。加速用の confidence は指先速度RMSから算出。
-    const tipAmp = rms(tipSpeed);
-    const runConf = clamp((tipAmp - CFG.run.minTipSpeedPxPerSec) / CFG.run.minTipSpeedPxPerSec, 0, 1);
-
-    // ヒステリシス + デバウンス
-    const now = nowSec;
-    const since = now - this.lastTriggerTime;
-    let nextState = this.state;
-    let conf = 0;
-
-    const kickOn = kickScore >= CFG.hysteresis.on;
-    const kickOff = kickScore <= CFG.hysteresis.off;
-    const runOn = runConf >= CFG.hysteresis.on;
-    const runOff = runConf <= CFG.hysteresis.off;
-
-    if (this.state === 'KICK') {
-      if (kickOff) {
-        // KICK を抜けたら、走りが十分であれば RUN、そうでなければ NONE
-        if (runOn) { nextState = 'RUN'; conf = runConf; }
-        else { nextState = 'NONE'; conf = 0; }
-      } else {
-        nextState = 'KICK';
-        conf = kickScore;
-      }
-    } else if (this.state === 'RUN') {
-      if (kickOn && since > CFG.debounceSec) {
-        nextState = 'KICK';
-        conf = kickScore;
-        this.lastTriggerTime = now;
-      } else if (tipAmp < CFG.run.immediateOffThreshold) {
-        // 走るのをやめたら即座に NONE へ（指先速度が閾値以下）
-        nextState = 'NONE';
-        conf = 0;
-      } else if (runOff) {
-        // 通常のヒステリシスによる OFF
-        nextState = 'NONE';
-        conf = 0;
-      } else {
-        nextState = 'RUN';
-        conf = runConf;
-      }
-    } else { // NONE
-      if (kickOn && since > CFG.debounceSec) {
-        nextState = 'KICK';
-        conf = kickScore;
-        this.lastTriggerTime = now;
-      } else if (runOn) {
-        nextState = 'RUN';
-        conf = runConf;
-      } else {
-        nextState = 'NONE';
-        conf = 0;
-      }
-    }
-
-    return { state: nextState, confidence: clamp(conf, 0, 1), tipSpeedPeak, tipForwardMin, runConf, palmSize: palmCenters.length ? palmCenters[palmCenters.length-1].size : 0 };
-  }
 }
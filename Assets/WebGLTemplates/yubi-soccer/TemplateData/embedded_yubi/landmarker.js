@@ -0,0 +1,129 @@
+// landmarker.js - MediaPipe HandLandmarker の生成と Web Worker 推論
+// メインスレッド（フォールバック）と landmarker_worker.js の両方から使う。DOM には依存しない。
+// tasks-vision・wasm・モデルの取得元の順序とタイムアウトは assets.js（ASSET_CFG）に従う（既定はローカル優先）
+import { ASSET_CFG, importFirst, fetchFirst, configureAssets, resolvedAssets, assetAttempts } from './assets.js';
+
+// ローカル Unity サーバは .mjs の MIME を正しく返さないことがあるが、その場合は import がすぐ失敗して次の取得元へ進む
+export function loadTasksVision() {
+  return importFirst('tasksVision', (mod) => !!(mod?.FilesetResolver && mod?.HandLandmarker));
+}
+
+// wasm とモデルを ASSET_CFG.order の順に試して HandLandmarker を作る。
+// assets を渡すとその設定で取得する（Worker にはページの ASSET_CFG が届く）。
+// 返却: { landmarker, base, modelPath, assets, attempts }（assets は実際に使った URL。Service Worker の事前キャッシュ用、
+// attempts は試した取得元の記録。起動診断用）。失敗時の例外にも attempts と、取れなかった種類 assetKind が付く
+export async function createHandLandmarker({ numHands = 1, assets = null } = {}) {
+  if (assets) configureAssets(assets);
+  try {
+    return await createFromSources(numHands);
+  } catch (e) {
+    e.attempts = assetAttempts();
+    throw e;
+  }
+}
+
+async function createFromSources(numHands) {
+  const { FilesetResolver, HandLandmarker } = await loadTasksVision();
+  // wasm ローダが取得できる最初のディレクトリを使う（本体の wasm は同じディレクトリから読まれる）
+  const wasm = await fetchFirst('wasm', { path: 'vision_wasm_internal.js', init: { method: 'HEAD' } });
+  const base = wasm.url;
+  // モデルはこちらで読み込んでバッファで渡す（存在確認と本体で 2 回取りに行かない）
+  const model = await fetchFirst('model');
+  const modelPath = model.url;
+  const modelAssetBuffer = new Uint8Array(await model.response.arrayBuffer());
+  const filesetResolver = await FilesetResolver.forVisionTasks(base);
+  // 軽量化: 既定は numHands=1 にして負荷を抑える（両手モードのみ 2）
+  const landmarker = await HandLandmarker.createFromOptions(filesetResolver, {
+    baseOptions: { modelAssetBuffer },
+    numHands,
+    runningMode: 'VIDEO',
+    minHandDetectionConfidence: 0.35,
+    minHandPresenceConfidence: 0.35,
+    minTrackingConfidence: 0.5,
+  });
+  return { landmarker, base, modelPath, assets: resolvedAssets(), attempts: assetAttempts() };
+}
+
+// Worker 推論が使えるか（Worker 内の描画先に OffscreenCanvas、フレーム受け渡しに ImageBitmap が要る）
+export function supportsWorkerDetection() {
+  return typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof createImageBitmap === 'function';
+}
+
+// Web Worker 上の HandLandmarker（メインスレッド側）。
+// detect() は Worker が前のフレームを処理中なら何もせず false を返す（フレームを捨てる）。
+// 結果は onResult({ ts, landmarks, handednesses }) で非同期に届く。
+export class WorkerHandDetector {
+  constructor({ numHands = 1, onResult = null, onError = null } = {}) {
+    this.numHands = numHands;
+    this.onResult = onResult;
+    this.onError = onError;
+    this.worker = null;
+    this.busy = false;
+    this.ready = false;
+    // 送ったフレーム数と、Worker が処理中で捨てたフレーム数
+    this.stats = { sent: 0, dropped: 0, lastLatencyMs: 0 };
+  }
+
+  // Worker を起動して HandLandmarker の初期化完了を待つ。失敗したら Worker を閉じて例外を投げる
+  init() {
+    return new Promise((resolve, reject) => {
+      // tasks-vision は Worker 内で importScripts で wasm ローダを読むため、module ではなく classic Worker にする
+      const worker = new Worker(new URL('./landmarker_worker.js', import.meta.url));
+      this.worker = worker;
+      const fail = (err) => {
+        this.terminate();
+        reject(err instanceof Error ? err : new Error(String(err)));
+      };
+      worker.onerror = (ev) => {
+        ev.preventDefault && ev.preventDefault();
+        const err = new Error(ev.message || 'landmarker worker error');
+        if (!this.ready) fail(err);
+        else { this.terminate(); this.onError && this.onError(err); }
+      };
+      worker.onmessage = (ev) => {
+        const msg = ev.data || {};
+        if (msg.type === 'ready') {
+          this.ready = true;
+          resolve({ base: msg.base, modelPath: msg.modelPath, assets: msg.assets || {}, attempts: msg.attempts || [] });
+        } else if (msg.type === 'init_error') {
+          const err = new Error(msg.message);
+          err.assetKind = msg.assetKind;
+          err.attempts = msg.attempts || [];
+          fail(err);
+        } else if (msg.type === 'result') {
+          this.busy = false;
+          this.stats.lastLatencyMs = performance.now() - msg.ts;
+          this.onResult && this.onResult(msg);
+        } else if (msg.type === 'detect_error') {
+          // 1 フレームの失敗は無視して次のフレームを受け付ける（前回の結果を使い続ける）
+          this.busy = false;
+        }
+      };
+      worker.postMessage({ type: 'init', numHands: this.numHands, assets: ASSET_CFG });
+    });
+  }
+
+  // source（video など）を width x height に縮小した ImageBitmap を Worker へ転送する
+  detect(source, width, height, ts) {
+    if (!this.ready) return false;
+    if (this.busy) { this.stats.dropped++; return false; }
+    this.busy = true;
+    createImageBitmap(source, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' })
+      .then((bitmap) => {
+        if (!this.worker) { bitmap.close(); return; }
+        this.stats.sent++;
+        this.worker.postMessage({ type: 'detect', bitmap, ts }, [bitmap]);
+      })
+      .catch(() => { this.busy = false; });
+    return true;
+  }
+
+  terminate() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.ready = false;
+    this.busy = false;
+  }
+}
@@ -0,0 +1,43 @@
+// landmarker_worker.js - HandLandmarker をメインスレッド外で動かす Worker（landmarker.js の WorkerHandDetector から起動）
+// tasks-vision は Worker 内で wasm ローダを importScripts で読むため classic Worker として動かし、
+// ES モジュールは動的 import で読み込む。
+//
+// メッセージ:
+//   main → worker: { type: 'init', numHands, assets }（assets はページの ASSET_CFG） / { type: 'detect', bitmap, ts }（bitmap は転送、処理後に close）
+//   worker → main: { type: 'ready', base, modelPath, assets, attempts } / { type: 'init_error', message, assetKind, attempts }
+//                  { type: 'result', ts, landmarks, handednesses } / { type: 'detect_error', ts, message }
+
+let landmarker = null;
+
+self.onmessage = async (ev) => {
+  const msg = ev.data || {};
+  if (msg.type === 'init') {
+    try {
+      const { createHandLandmarker } = await import('./landmarker.js');
+      const created = await createHandLandmarker({ numHands: msg.numHands || 1, assets: msg.assets });
+      landmarker = created.landmarker;
+      self.postMessage({ type: 'ready', base: created.base, modelPath: created.modelPath, assets: created.assets, attempts: created.attempts });
+    } catch (e) {
+      self.postMessage({ type: 'init_error', message: (e && e.message) || String(e), assetKind: e && e.assetKind, attempts: (e && e.attempts) || [] });
+    }
+    return;
+  }
+  if (msg.type === 'detect') {
+    const { bitmap, ts } = msg;
+    try {
+      if (!landmarker) throw new Error('landmarker not initialized');
+      const res = landmarker.detectForVideo(bitmap, ts);
+      // 結果はプレーンな配列/オブジェクトだけを返す（構造化複製できる形）
+      self.postMessage({
+        type: 'result',
+        ts,
+        landmarks: res.landmarks || [],
+        handednesses: res.handednesses || res.handedness || [],
+      });
+    } catch (e) {
+      self.postMessage({ type: 'detect_error', ts, message: (e && e.message) || String(e) });
+    } finally {
+      bitmap && bitmap.close && bitmap.close();
+    }
+  }
+};
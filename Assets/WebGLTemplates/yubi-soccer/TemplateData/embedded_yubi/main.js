@@ -1,22 +1,60 @@
-// main.js - Three.js シーンと簡易物理
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+// main.js - 簡易物理（ボールの速度・衝突・ゴール）
+// three.js には依存しない（ボールのメッシュは renderer.js が作って setBall() で渡す）。
+// 速度は { x, y, z } のただのオブジェクトで、three.js を読み込めなくても KICK/RUN の入力は受け付ける
 
 // main.js now contains only physics and game-state logic.
 let ball = null;
-let velocity = new THREE.Vector3(0, 0, 0);
+const velocity = { x: 0, y: 0, z: 0 };
+
+function setVelocity(x, y, z) {
+  velocity.x = x;
+  velocity.y = y;
+  velocity.z = z;
+}
 
 const PARAMS = {
   gravity: -9.8,
-  friction: 0.98,
-  airDrag: 0.995,
+  friction: 0.98, // 接地中の水平速度の減衰（1/60 秒あたりの倍率）
+  airDrag: 0.995, // 空気抵抗（1/60 秒あたりの倍率）
   floorY: 0,
-  runAccel: 2.0, // RUN 強度に比例して前進加速
+  runAccel: 2.0, // RUN 強度 1 のときの前進加速度（m/s^2）
+  runHoldSec: 0.25, // 最後の setRunBoost() からこの時間（シミュレーション時間）で加速を止める
   runMaxSpeed: 6.0,
   kickUp: 6.0,   // KICK の上方向係数
   kickForward: 8.0, // KICK の前方向係数
+  kickMinScale: 0.35, // 強さ 0 のキックでも出る割合（強さ 1 で係数そのまま）
   restitution: 0.5, // 反発係数
+  fixedDt: 1 / 120, // 固定ステップ（秒）。FPS に関係なく同じ刻みで積分する
+  maxSubsteps: 8, // 1 回の updatePhysics で進める最大ステップ数。超えた分は捨てる（タブ復帰直後に追いつこうとして固まらないように）
 };
 
+// フィールド（renderer.js の描画と共有）。中心が原点、長辺が Z 方向で、前方（-Z）側が 'far'、手前（+Z）側が 'near' のゴール
+export const FIELD = {
+  width: 20,
+  length: 40,
+  ballRadius: 0.3,
+  wallRestitution: 0.6, // 外周の壁（高さは無限として扱う）
+  goal: {
+    width: 6,
+    height: 2,
+    depth: 1.5,
+    postRadius: 0.08,
+    postRestitution: 0.7, // ポストとクロスバー
+    netRestitution: 0.15, // ゴール内のネット
+  },
+};
+
+// ゴール（{ side: 'far' | 'near', speed: ゴールライン通過時のボールの速さ m/s }）の購読者
+const goalListeners = new Set();
+// ゴール後、resetBall() まで同じボールで続けて判定しない
+let goalScored = false;
+
+// 固定ステップの状態: 未消化の経過時間、進めたステップ数、RUN の強さ（0-1）と残り時間
+let accumulator = 0;
+let tick = 0;
+let runConf = 0;
+let runHold = 0;
+
 // ball は外部（renderer.js）が作成して setBall() で渡す
 export function setBall(mesh) {
   ball = mesh;
@@ -24,29 +62,57 @@ export function setBall(mesh) {
 
 // resize は renderer 側で実行するため main.js 側では実装しない
 
+// フレームの経過時間 dt（秒）を固定ステップに分けて進める。端数は次の呼び出しに持ち越す
 export function updatePhysics(dt) {
   if (!dt) return;
 
   // ball が存在しない（埋め込みモード等）の場合は物理更新をスキップ
   if (!ball) return;
 
+  const h = PARAMS.fixedDt;
+  accumulator += dt;
+  let steps = 0;
+  while (accumulator >= h && steps < PARAMS.maxSubsteps) {
+    step(h);
+    accumulator -= h;
+    steps++;
+  }
+  // 追いつけなかった分は捨てる（端数だけ残す）
+  if (accumulator >= h) accumulator %= h;
+}
+
+// 1 ステップ分の積分と衝突
+function step(h) {
+  tick++;
+  // 1/60 秒あたりの倍率を h 秒あたりに直す
+  const perStep = h * 60;
+
+  // RUN: 前進方向（-Z）への加速度として時間で積む
+  if (runHold > 0) {
+    velocity.z -= PARAMS.runAccel * runConf * h;
+    runHold -= h;
+    if (runHold <= 0) runConf = 0;
+  }
+
   // 重力
-  velocity.y += PARAMS.gravity * dt;
+  velocity.y += PARAMS.gravity * h;
 
   // 空気抵抗
-  velocity.multiplyScalar(PARAMS.airDrag);
+  const drag = Math.pow(PARAMS.airDrag, perStep);
+  setVelocity(velocity.x * drag, velocity.y * drag, velocity.z * drag);
 
   // 位置更新
-  ball.position.addScaledVector(velocity, dt);
+  ball.position.addScaledVector(velocity, h);
 
   // 床衝突
-  const radius = 0.3;
+  const radius = FIELD.ballRadius;
   if (ball.position.y - radius < PARAMS.floorY) {
     ball.position.y = PARAMS.floorY + radius;
     if (velocity.y < 0) velocity.y = -velocity.y * PARAMS.restitution;
     // 接地摩擦
-    velocity.x *= PARAMS.friction;
-    velocity.z *= PARAMS.friction;
+    const friction = Math.pow(PARAMS.friction, perStep);
+    velocity.x *= friction;
+    velocity.z *= friction;
   }
 
   // 前進方向を -Z とする
@@ -57,20 +123,152 @@ export function updatePhysics(dt) {
     velocity.x *= scale;
     velocity.z *= scale;
   }
+
+  collideField(ball.position, velocity);
+  detectGoal(ball.position, velocity);
+}
+
+// 半径 r の球を、法線 n 方向に押し出して速度の法線成分を反転する（離れていく向きなら何もしない）
+function bounce(pos, vel, nx, ny, nz, depth, restitution) {
+  pos.x += nx * depth;
+  pos.y += ny * depth;
+  pos.z += nz * depth;
+  const vn = vel.x * nx + vel.y * ny + vel.z * nz;
+  if (vn >= 0) return;
+  const k = (1 + restitution) * vn;
+  vel.x -= k * nx;
+  vel.y -= k * ny;
+  vel.z -= k * nz;
+}
+
+// 外周の壁、ゴール枠（ポスト・クロスバー）、ゴール内のネット
+function collideField(pos, vel) {
+  const r = FIELD.ballRadius;
+  const g = FIELD.goal;
+  const halfW = FIELD.width / 2;
+  const halfL = FIELD.length / 2;
+  const halfGoal = g.width / 2;
+  const side = pos.z < 0 ? -1 : 1;
+  const inGoal = Math.abs(pos.z) > halfL;
+
+  if (inGoal) {
+    // ゴールの中: 奥・左右・上のネットで止める
+    const back = halfL + g.depth;
+    if (Math.abs(pos.z) + r > back) bounce(pos, vel, 0, 0, -side, Math.abs(pos.z) + r - back, g.netRestitution);
+    if (Math.abs(pos.x) + r > halfGoal) {
+      const sx = pos.x < 0 ? -1 : 1;
+      bounce(pos, vel, -sx, 0, 0, Math.abs(pos.x) + r - halfGoal, g.netRestitution);
+    }
+    if (pos.y + r > g.height) bounce(pos, vel, 0, -1, 0, pos.y + r - g.height, g.netRestitution);
+  } else {
+    // 左右の壁
+    if (Math.abs(pos.x) + r > halfW) {
+      const sx = pos.x < 0 ? -1 : 1;
+      bounce(pos, vel, -sx, 0, 0, Math.abs(pos.x) + r - halfW, FIELD.wallRestitution);
+    }
+    // 両端の壁（ゴールの口はボールの中心で判定し、枠の角はポストとクロスバーに任せる）
+    const inMouth = Math.abs(pos.x) < halfGoal && pos.y < g.height;
+    if (!inMouth && Math.abs(pos.z) + r > halfL) {
+      bounce(pos, vel, 0, 0, -side, Math.abs(pos.z) + r - halfL, FIELD.wallRestitution);
+    }
+  }
+
+  // ポスト（ゴールライン上の鉛直な円柱）
+  const lineZ = side * halfL;
+  const reach = r + g.postRadius;
+  if (pos.y < g.height + reach) {
+    for (const px of [-halfGoal, halfGoal]) {
+      const dx = pos.x - px;
+      const dz = pos.z - lineZ;
+      const d = Math.hypot(dx, dz);
+      if (d < reach && d > 1e-6) bounce(pos, vel, dx / d, 0, dz / d, reach - d, g.postRestitution);
+    }
+  }
+  // クロスバー（高さ height の水平な円柱）
+  if (Math.abs(pos.x) <= halfGoal) {
+    const dy = pos.y - g.height;
+    const dz = pos.z - lineZ;
+    const d = Math.hypot(dy, dz);
+    if (d < reach && d > 1e-6) bounce(pos, vel, 0, dy / d, dz / d, reach - d, g.postRestitution);
+  }
+}
+
+// ボール全体がゴールラインを越え、枠の内側にあればゴール
+function detectGoal(pos, vel) {
+  if (goalScored) return;
+  const r = FIELD.ballRadius;
+  const g = FIELD.goal;
+  if (Math.abs(pos.z) < FIELD.length / 2 + r) return;
+  if (Math.abs(pos.x) > g.width / 2 || pos.y > g.height) return;
+  goalScored = true;
+  const event = { side: pos.z < 0 ? 'far' : 'near', speed: Math.hypot(vel.x, vel.y, vel.z) };
+  for (const fn of goalListeners) {
+    try { fn(event); } catch (e) { console.error('[Physics] goal listener failed', e); }
+  }
+}
+
+// ゴールの購読。解除関数を返す
+export function onGoal(fn) {
+  goalListeners.add(fn);
+  return () => goalListeners.delete(fn);
+}
+
+// ボールをセンターに戻して止める（ゴール判定も再開する）
+export function resetBall() {
+  setVelocity(0, 0, 0);
+  goalScored = false;
+  runConf = 0;
+  runHold = 0;
+  if (ball) ball.position.set(0, FIELD.ballRadius, 0);
 }
 
 export function setRunBoost(conf) {
-  // conf(0-1) に比例した前進加速度を与える（基礎加速は無し）
-  const accel = PARAMS.runAccel * conf;
-  velocity.z -= accel * (1 / 60); // フレーム単位で弱く積む（updatePhysics 内で dt で積むので微調整）
+  // conf(0-1) に比例した前進加速度を、次の呼び出しか runHoldSec が過ぎるまで各ステップで積む（基礎加速は無し）。
+  // 0 を渡すとすぐ止める
+  runConf = Math.max(0, Math.min(1, conf || 0));
+  runHold = runConf > 0 ? PARAMS.runHoldSec : 0;
+}
+
+export function kickImpulse(power, dir = null) {
+  // 瞬間インパルス。power(0-1) は溜め時間と曲げの深さから求めたキックの強さ。
+  // dir は単位方向ベクトル {x,y,z}（前方 -Z）。省略時は従来どおり kickUp:kickForward の向きで真っすぐ蹴る
+  const scale = PARAMS.kickMinScale + (1 - PARAMS.kickMinScale) * power;
+  if (!dir) {
+    velocity.y += PARAMS.kickUp * scale;
+    velocity.z -= PARAMS.kickForward * scale;
+    return;
+  }
+  const speed = Math.hypot(PARAMS.kickUp, PARAMS.kickForward) * scale;
+  velocity.x += dir.x * speed;
+  velocity.y += dir.y * speed;
+  velocity.z += dir.z * speed;
+}
+
+// ボールの状態のスナップショット（JSON にできる値だけ）。tick は積分したステップ数。
+// 同じ状態から同じ入力を同じ tick で与えれば、マシンや FPS によらず同じ結果になる
+export function getState() {
+  const p = ball ? ball.position : null;
+  return {
+    tick,
+    position: p ? { x: p.x, y: p.y, z: p.z } : null,
+    velocity: { x: velocity.x, y: velocity.y, z: velocity.z },
+    run: { conf: runConf, hold: runHold },
+    goalScored,
+  };
 }
 
-export function kickImpulse(conf) {
-  // 瞬間インパルス
-  const up = PARAMS.kickUp * (0.5 + 0.5 * conf);
-  const forward = PARAMS.kickForward * (0.5 + 0.5 * conf);
-  velocity.y += up;
-  velocity.z -= forward;
+// getState() の値を戻す。省いた項目は今の値のまま。未消化の経過時間は捨てて、次の updatePhysics からステップを数え直す
+export function setState(state = {}) {
+  const { position, velocity: v, run } = state;
+  if (position && ball) ball.position.set(position.x, position.y, position.z);
+  if (v) setVelocity(v.x, v.y, v.z);
+  if (run) {
+    runConf = run.conf || 0;
+    runHold = run.hold || 0;
+  }
+  if (typeof state.tick === 'number') tick = state.tick;
+  if (typeof state.goalScored === 'boolean') goalScored = state.goalScored;
+  accumulator = 0;
 }
 
 // Exported symbols are only the physics API. Scene/camera/renderer are owned by renderer.js
@@ -139,6 +139,44 @@ export class LogisticKickModel {
   }
 }
 
+// localStorage のキー: 名前付きモデルは 'kickModelV1:<name>'、無名は従来どおり 'kickModelV1'
+export const KICK_MODEL_KEY_PREFIX = 'kickModelV1';
+export function kickModelKey(name) { return name ? `${KICK_MODEL_KEY_PREFIX}:${name}` : KICK_MODEL_KEY_PREFIX; }
+
+// 保存済みモデル名の一覧（無名モデルは '' として含める）
+export function listSavedKickModels() {
+  const out = [];
+  try {
+    for (let i=0;i<localStorage.length;i++) {
+      const k = localStorage.key(i);
+      if (k === KICK_MODEL_KEY_PREFIX) out.push('');
+      else if (k && k.startsWith(KICK_MODEL_KEY_PREFIX + ':')) out.push(k.slice(KICK_MODEL_KEY_PREFIX.length + 1));
+    }
+  } catch { /* localStorage 不可 */ }
+  return out.sort();
+}
+
+// ラベル毎に層化して学習/検証に分割する。両クラスが 2 件以上あれば各クラス最低 1 件を検証へ回す。
+export function splitDataset(X, y, { testRatio=0.25, rng=Math.random }={}) {
+  const byLabel = new Map();
+  for (let i=0;i<y.length;i++) { if (!byLabel.has(y[i])) byLabel.set(y[i], []); byLabel.get(y[i]).push(i); }
+  const train = { X: [], y: [] }; const test = { X: [], y: [] };
+  for (const idxs of byLabel.values()) {
+    // Fisher-Yates
+    for (let i=idxs.length-1;i>0;i--) { const j = Math.floor(rng()*(i+1)); [idxs[i], idxs[j]] = [idxs[j], idxs[i]]; }
+    const nTest = idxs.length >= 2 ? Math.max(1, Math.round(idxs.length*testRatio)) : 0;
+    idxs.forEach((k, i) => { const dst = i < nTest ? test : train; dst.X.push(X[k]); dst.y.push(y[k]); });
+  }
+  return { train, test };
+}
+
+// 閾値 0.5 での正解率（データが無ければ NaN）
+export function evaluateAccuracy(model, X, y) {
+  if (!X || X.length === 0) return NaN;
+  let correct=0; for (let i=0;i<X.length;i++){ const yhat = model.predictProba(X[i])>=0.5?1:0; if (yhat===y[i]) correct++; }
+  return correct/X.length;
+}
+
 // ゲート条件: 「手の甲（手首付近）よりも指先が下で、指先速度が十分大きい」
 export function movementGateForKick(windowData, { minTipBelow=0.02, minTipSpeed=1.8 }={}) {
   const n = windowData.length; if (n<4) return false;
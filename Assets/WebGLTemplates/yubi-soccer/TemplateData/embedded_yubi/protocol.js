@@ -0,0 +1,288 @@
+// protocol.js - iframe（embedded_yubi）とホストページ間の postMessage プロトコル（v1）
+// ホスト側（Unity テンプレートの index.html）は通常の <script> で、iframe 側も ES モジュールより先に
+// <script src="./protocol.js"> で読み込み、window.YubiProtocol を共有する。
+//
+// すべてのメッセージは次の封筒を持つ:
+//   { protocol: 'yubi', v: 1, type, seq, ts, token, ...fields }
+// - seq: 送信側ごとの連番（受信側は直前以下の seq を破棄）
+// - ts: 送信時刻（Date.now()）。maxSkewMs より古い/新しいものは破棄
+// - token: ハンドシェイクでホストが発行した値。hello / welcome 以外は一致しないと破棄
+// - timing（任意）: { capturedAt, detectedAt } 元になったカメラフレームを取り込んだ時刻と検出が終わった時刻
+//   （エポックミリ秒、小数あり）。iframe がフレームから出したメッセージに付け、ホストはレイテンシの計測に使う
+// ハンドシェイク: iframe が読み込み時に hello を送り（welcome が来るまで再送）、ホストは iframe の
+// contentWindow かつ許可オリジンからの hello にだけ welcome { token } を返す。以後の送信先オリジンは相手のものに固定する。
+(function (global) {
+  'use strict';
+
+  const PROTOCOL = 'yubi';
+  const VERSION = 1;
+
+  const STATES = ['NONE', 'RUN', 'CHARGE', 'KICK'];
+  const HANDS = ['left', 'right'];
+  const KICK_MODES = ['charge', 'flick', 'both'];
+  // camera の reason。停止/切り替えの理由（requested, track_ended, device_removed, recovered, fallback, same_device）と
+  // 開けなかった理由（insecure_context, unsupported, permission_denied, not_found, in_use, recover_failed, tracker_failed, unknown）
+  const CAMERA_REASONS = [
+    'requested', 'track_ended', 'device_removed', 'recovered', 'fallback', 'same_device',
+    'insecure_context', 'unsupported', 'permission_denied', 'not_found', 'in_use', 'recover_failed', 'tracker_failed', 'unknown',
+  ];
+
+  // フィールド検証（値を受け取り、問題なければ null、あればエラー文字列）
+  const opt = (check) => (v) => (v === undefined || v === null ? null : check(v));
+  const oneOf = (values) => (v) => (values.includes(v) ? null : `must be one of ${values.join('|')}`);
+  const num01 = (v) => (typeof v === 'number' && isFinite(v) && v >= 0 && v <= 1 ? null : 'must be a number in 0..1');
+  const str = (v) => (typeof v === 'string' ? null : 'must be a string');
+  const numIn = (lo, hi) => (v) => (typeof v === 'number' && isFinite(v) && v >= lo && v <= hi ? null : `must be a number in ${lo}..${hi}`);
+  const bool = (v) => (typeof v === 'boolean' ? null : 'must be a boolean');
+  const obj = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? null : 'must be an object');
+  const arr = (v) => (Array.isArray(v) ? null : 'must be an array');
+  // KICK の方向（rad）: 方位角は正面から左右 ±90°、ロフトは 0..90°
+  const azimuth = numIn(-Math.PI / 2, Math.PI / 2);
+  const loft = numIn(0, Math.PI / 2);
+  const epochMs = numIn(0, Number.MAX_SAFE_INTEGER);
+  const timing = (v) => obj(v) || epochMs(v.capturedAt) || epochMs(v.detectedAt)
+    || (v.detectedAt >= v.capturedAt ? null : 'detectedAt must not precede capturedAt');
+
+  // diagnostics の code（起動に失敗した段階の理由）。カメラ側は CAMERA_REASONS と同じ値
+  const DIAGNOSTIC_CODES = [
+    'insecure_context', 'unsupported', 'permission_denied', 'not_found', 'in_use',
+    'tasks_vision_unavailable', 'wasm_unavailable', 'model_unavailable', 'landmarker_failed', 'three_unavailable', 'unknown',
+  ];
+
+  // メッセージ定義。dir: 'up' は iframe → ホスト、'down' はホスト → iframe
+  const MESSAGES = {
+    hello: { dir: 'up', fields: {} },
+    welcome: { dir: 'down', fields: { token: str } },
+    state: { dir: 'up', fields: { state: oneOf(STATES), confidence: num01, hand: opt(oneOf(HANDS)), power: opt(num01), azimuth: opt(azimuth), loft: opt(loft) } },
+    kick: { dir: 'up', fields: { confidence: num01, hand: opt(oneOf(HANDS)), power: opt(num01), azimuth: opt(azimuth), loft: opt(loft) } },
+    run: { dir: 'up', fields: { confidence: num01, hand: opt(oneOf(HANDS)) } },
+    charge: { dir: 'up', fields: { confidence: num01, hand: opt(oneOf(HANDS)) } },
+    idle: { dir: 'up', fields: { confidence: num01, hand: opt(oneOf(HANDS)) } },
+    charge_progress: { dir: 'up', fields: { progress: num01, hand: opt(oneOf(HANDS)) } },
+    // 単発の動作（状態は変えない）。pass の direction は弾いた向き（本人から見た左右）、azimuth はその角度（右が正）
+    pass: { dir: 'up', fields: { confidence: num01, direction: oneOf(HANDS), azimuth: opt(azimuth), hand: opt(oneOf(HANDS)) } },
+    jump: { dir: 'up', fields: { confidence: num01, hand: opt(oneOf(HANDS)) } },
+    feint: { dir: 'up', fields: { confidence: num01, hand: opt(oneOf(HANDS)) } },
+    // lastSeenAt: 最後に手を検出した時刻（エポックミリ秒）、lostMs: 見失っていた時間（ミリ秒）
+    hand_lost: { dir: 'up', fields: { lastSeenAt: numIn(0, Number.MAX_SAFE_INTEGER), hand: opt(oneOf(HANDS)) } },
+    hand_found: { dir: 'up', fields: { lostMs: numIn(0, Number.MAX_SAFE_INTEGER), hand: opt(oneOf(HANDS)) } },
+    camera: { dir: 'up', fields: { status: oneOf(['ready', 'ending', 'error', 'switched']), reason: opt(oneOf(CAMERA_REASONS)), deviceId: opt(str) } },
+    // 起動診断（start_camera ごとに 1 回）。report は diagnostics.js の StartupDiagnostics.report()
+    diagnostics: { dir: 'up', fields: { ok: bool, code: opt(oneOf(DIAGNOSTIC_CODES)), durationMs: numIn(0, Number.MAX_SAFE_INTEGER), report: obj } },
+    telemetry: { dir: 'up', fields: { actionState: obj } },
+    config: { dir: 'up', fields: { requestId: opt(str), config: obj, applied: opt(arr), errors: opt(arr), schema: opt(obj) } },
+    // set_kick_mode の結果。mode は適用後の方式、model は使用中の flick 用モデルの取得元（URL か localStorage のキー）
+    kick_mode: { dir: 'up', fields: { requestId: opt(str), ok: bool, mode: oneOf(KICK_MODES), model: opt(str), reason: opt(oneOf(['not_ready', 'invalid_mode', 'model_not_found'])) } },
+    start_camera: { dir: 'down', fields: { deviceId: opt(str) } },
+    stop_camera: { dir: 'down', fields: {} },
+    // deviceId も facingMode も無ければ次のカメラへ順送り
+    switch_camera: { dir: 'down', fields: { deviceId: opt(str), facingMode: opt(oneOf(['user', 'environment'])) } },
+    pause_tracking: { dir: 'down', fields: {} },
+    resume_tracking: { dir: 'down', fields: {} },
+    get_config: { dir: 'down', fields: { requestId: opt(str) } },
+    set_config: { dir: 'down', fields: { requestId: opt(str), config: obj, persist: opt(bool) } },
+    reset_config: { dir: 'down', fields: { requestId: opt(str) } },
+    set_kick_mode: { dir: 'down', fields: { requestId: opt(str), mode: oneOf(KICK_MODES), model: opt(str), url: opt(str) } },
+    set_hand_roles: { dir: 'down', fields: { roles: obj } },
+    set_telemetry: { dir: 'down', fields: { enabled: bool, rateHz: opt(numIn(1, 60)) } },
+    host_perf: { dir: 'down', fields: { fps: numIn(0, 1000) } },
+    open_training: { dir: 'down', fields: {} },
+    close_training: { dir: 'down', fields: {} },
+    open_calibration: { dir: 'down', fields: {} },
+    close_calibration: { dir: 'down', fields: {} },
+    start_recording: { dir: 'down', fields: {} },
+    stop_recording: { dir: 'down', fields: { filename: opt(str) } },
+  };
+
+  // 封筒と型ごとのフィールドを検証する。{ ok: true } または { ok: false, reason, detail }
+  function validate(msg) {
+    if (!msg || typeof msg !== 'object') return { ok: false, reason: 'not_an_object' };
+    if (msg.protocol !== PROTOCOL) return { ok: false, reason: 'not_protocol' };
+    if (msg.v !== VERSION) return { ok: false, reason: 'unsupported_version', detail: msg.v };
+    const def = MESSAGES[msg.type];
+    if (!def) return { ok: false, reason: 'unknown_type', detail: msg.type };
+    if (!Number.isInteger(msg.seq) || msg.seq < 1) return { ok: false, reason: 'invalid_envelope', detail: 'seq' };
+    if (typeof msg.ts !== 'number' || !isFinite(msg.ts)) return { ok: false, reason: 'invalid_envelope', detail: 'ts' };
+    const timingErr = opt(timing)(msg.timing);
+    if (timingErr) return { ok: false, reason: 'invalid_envelope', detail: `timing ${timingErr}` };
+    for (const [key, check] of Object.entries(def.fields)) {
+      const err = check(msg[key]);
+      if (err) return { ok: false, reason: 'invalid_field', detail: `${msg.type}.${key} ${err}` };
+    }
+    return { ok: true };
+  }
+
+  function randomToken() {
+    const bytes = new Uint8Array(16);
+    if (global.crypto && global.crypto.getRandomValues) global.crypto.getRandomValues(bytes);
+    else for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // 許可オリジン: 自分のオリジンに加え、window.YUBI_ALLOWED_ORIGINS（配列）で追加できる
+  function defaultAllowedOrigins() {
+    const out = [];
+    try { if (global.location && global.location.origin) out.push(global.location.origin); } catch (e) { /* ignore */ }
+    if (Array.isArray(global.YUBI_ALLOWED_ORIGINS)) out.push(...global.YUBI_ALLOWED_ORIGINS);
+    return out;
+  }
+
+  // role: 'host' | 'embed'
+  // target: 相手のウィンドウを返す関数（host は iframe.contentWindow、embed は window.parent）
+  function createChannel({ role, target, allowedOrigins = defaultAllowedOrigins(), maxSkewMs = 10000, helloIntervalMs = 500, helloRetries = 20, logIntervalMs = 1000, maxQueue = 50 } = {}) {
+    const sendDir = role === 'host' ? 'down' : 'up';
+    const recvDir = role === 'host' ? 'up' : 'down';
+    const handlers = {};
+    const queue = [];
+    const stats = { sent: 0, received: 0, rejected: {} };
+    const lastLogged = {};
+    let seq = 0;
+    let peerSeq = 0;
+    let token = null;
+    let peerOrigin = null;
+    let ready = false;
+    let helloTimer = null;
+
+    const peer = () => { try { return target(); } catch (e) { return null; } };
+
+    // 破棄理由をまとめて記録する（同じ理由のログは logIntervalMs に 1 回）
+    function reject(reason, ev, detail) {
+      stats.rejected[reason] = (stats.rejected[reason] || 0) + 1;
+      const now = Date.now();
+      if (now - (lastLogged[reason] || 0) < logIntervalMs) return;
+      lastLogged[reason] = now;
+      const data = ev && ev.data;
+      console.warn(`[YubiProtocol:${role}] rejected message (${reason})`, {
+        detail,
+        origin: ev && ev.origin,
+        type: data && data.type,
+        count: stats.rejected[reason],
+      });
+    }
+
+    function post(msg, targetOrigin) {
+      const w = peer();
+      if (!w || w === global) return false;
+      w.postMessage(msg, targetOrigin);
+      stats.sent++;
+      return true;
+    }
+
+    // 型付きメッセージを送る。ハンドシェイク前は hello 以外を待ち行列に積む
+    function send(type, fields = {}) {
+      const def = MESSAGES[type];
+      if (!def || def.dir !== sendDir) {
+        console.warn(`[YubiProtocol:${role}] cannot send ${type}`);
+        return false;
+      }
+      if (!ready && type !== 'hello' && type !== 'welcome') {
+        // 相手がいない（単独表示）なら積まない。積む場合も古いものから捨てる
+        const w = peer();
+        if (!w || w === global) return false;
+        queue.push([type, fields]);
+        if (queue.length > maxQueue) queue.shift();
+        return false;
+      }
+      const msg = Object.assign({}, fields, { protocol: PROTOCOL, v: VERSION, type, seq: ++seq, ts: Date.now() });
+      if (token && type !== 'hello') msg.token = token;
+      const v = validate(msg);
+      if (!v.ok) {
+        console.warn(`[YubiProtocol:${role}] refusing to send invalid ${type}`, v);
+        return false;
+      }
+      // hello には秘密を含まないので送信先オリジンを限定しない（相手のオリジンはまだ分からない）
+      return post(msg, type === 'hello' ? '*' : (peerOrigin || '*'));
+    }
+
+    function flush() {
+      while (ready && queue.length) {
+        const [type, fields] = queue.shift();
+        send(type, fields);
+      }
+    }
+
+    function dispatch(msg, ev) {
+      for (const fn of (handlers[msg.type] || []).slice()) {
+        try { fn(msg, ev); } catch (e) { console.error(`[YubiProtocol:${role}] handler for ${msg.type} failed`, e); }
+      }
+    }
+
+    function onMessage(ev) {
+      let data = ev.data;
+      try { if (typeof data === 'string') data = JSON.parse(data); } catch (e) { /* keep original */ }
+      const looksOurs = data && typeof data === 'object' && (data.protocol === PROTOCOL || typeof data.type === 'string');
+      if (!looksOurs) return; // 他のライブラリのメッセージは黙って無視
+      if (!ev.source || ev.source !== peer()) { reject('unknown_source', ev); return; }
+      if (!allowedOrigins.includes(ev.origin)) { reject('origin_not_allowed', ev, ev.origin); return; }
+      const v = validate(data);
+      if (!v.ok) { reject(v.reason === 'not_protocol' ? 'unversioned' : v.reason, ev, v.detail); return; }
+      if (MESSAGES[data.type].dir !== recvDir) { reject('wrong_direction', ev, data.type); return; }
+      if (Math.abs(Date.now() - data.ts) > maxSkewMs) { reject('stale_timestamp', ev, data.ts); return; }
+
+      if (role === 'host' && data.type === 'hello') {
+        // iframe の（再）読み込み: 新しいトークンを発行し、相手の連番を振り直す
+        token = randomToken();
+        peerOrigin = ev.origin;
+        peerSeq = data.seq;
+        ready = true;
+        send('welcome', { token });
+        flush();
+        dispatch(data, ev);
+        return;
+      }
+      if (role === 'embed' && data.type === 'welcome') {
+        token = data.token;
+        peerOrigin = ev.origin;
+        peerSeq = data.seq;
+        ready = true;
+        if (helloTimer) { clearInterval(helloTimer); helloTimer = null; }
+        flush();
+        dispatch(data, ev);
+        return;
+      }
+      if (!ready || ev.origin !== peerOrigin) { reject('no_handshake', ev); return; }
+      if (data.token !== token) { reject('bad_token', ev); return; }
+      if (data.seq <= peerSeq) { reject('stale_seq', ev, data.seq); return; }
+      peerSeq = data.seq;
+      stats.received++;
+      dispatch(data, ev);
+    }
+
+    global.addEventListener('message', onMessage, false);
+
+    if (role === 'embed') {
+      const start = () => {
+        const w = peer();
+        if (!w || w === global) return; // 単独表示（親なし）ではハンドシェイクしない
+        let tries = 0;
+        send('hello');
+        helloTimer = setInterval(() => {
+          if (ready || ++tries >= helloRetries) { clearInterval(helloTimer); helloTimer = null; return; }
+          send('hello');
+        }, helloIntervalMs);
+      };
+      start();
+    }
+
+    return {
+      role,
+      stats,
+      send,
+      // type ごとのハンドラ登録。戻り値を呼ぶと解除
+      on(type, fn) {
+        (handlers[type] = handlers[type] || []).push(fn);
+        return () => { handlers[type] = (handlers[type] || []).filter((h) => h !== fn); };
+      },
+      get ready() { return ready; },
+      get peerOrigin() { return peerOrigin; },
+      close() {
+        global.removeEventListener('message', onMessage, false);
+        if (helloTimer) clearInterval(helloTimer);
+      },
+    };
+  }
+
+  const api = { PROTOCOL, VERSION, STATES, HANDS, KICK_MODES, CAMERA_REASONS, DIAGNOSTIC_CODES, MESSAGES, validate, createChannel, randomToken };
+  global.YubiProtocol = api;
+  if (typeof module !== 'undefined' && module.exports) module.exports = api;
+})(typeof window !== 'undefined' ? window : globalThis);
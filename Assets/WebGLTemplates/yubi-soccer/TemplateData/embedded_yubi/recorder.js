@@ -0,0 +1,110 @@
+// recorder.js - ランドマーク記録と決定的リプレイ
+// HandTracker が landmarksBuf に積むストリーム（時刻・正規化 21 点・映像サイズ・鏡フラグ）を
+// JSON として保存し、カメラ無しで processLoop/classify に再投入するための補助モジュール。
+
+export const RECORDING_FORMAT = 'yubi-landmarks';
+export const RECORDING_VERSION = 1;
+
+// 記録フレームから [{ hand, lm }] を取り出す（片手記録は lm のみ、両手記録は hands を持つ）
+export function frameHands(frame) {
+  if (Array.isArray(frame.hands)) return frame.hands;
+  return frame.lm ? [{ hand: frame.hand || null, lm: frame.lm }] : [];
+}
+
+const copyLandmarks = (lm) => lm.map(({ x, y, z }) => ({ x, y, z: z ?? 0 }));
+
+export class LandmarkRecorder {
+  constructor({ mirror = false, twoHands = false } = {}) {
+    this.mirror = mirror;
+    this.twoHands = twoHands;
+    this.frames = [];
+    this.recording = false;
+    this.startedAt = null;
+  }
+
+  start() {
+    this.frames = [];
+    this.recording = true;
+    this.startedAt = new Date().toISOString();
+  }
+
+  stop() {
+    this.recording = false;
+    return this.toJSON();
+  }
+
+  // 1 フレーム分を追加。hands は [{ hand, lm }]、lm は鏡適用済みの 0..1 正規化座標（手が無いフレームは空配列）
+  // lm には先頭の手を入れ、両手モードのときだけ hands に全部の手を残す
+  push(t, hands, { videoW = 0, videoH = 0, viewW = 0, viewH = 0 } = {}) {
+    if (!this.recording) return;
+    const frame = {
+      t,
+      videoW, videoH,
+      viewW, viewH,
+      lm: hands[0] ? copyLandmarks(hands[0].lm) : null,
+    };
+    if (this.twoHands) frame.hands = hands.map((h) => ({ hand: h.hand || null, lm: copyLandmarks(h.lm) }));
+    this.frames.push(frame);
+  }
+
+  toJSON() {
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      createdAt: this.startedAt,
+      mirror: this.mirror,
+      numHands: this.twoHands ? 2 : 1,
+      userAgent: (typeof navigator !== 'undefined') ? navigator.userAgent : '',
+      frames: this.frames,
+    };
+  }
+}
+
+// 記録データの形式を検証して返す。不正な場合は例外を投げる。
+export function parseRecording(objOrString) {
+  const obj = (typeof objOrString === 'string') ? JSON.parse(objOrString) : objOrString;
+  if (!obj || obj.format !== RECORDING_FORMAT) throw new Error('not a landmark recording');
+  if (obj.version !== RECORDING_VERSION) throw new Error(`unsupported recording version: ${obj.version}`);
+  if (!Array.isArray(obj.frames)) throw new Error('recording has no frames');
+  return obj;
+}
+
+export async function loadRecordingFromUrl(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`failed to fetch recording: ${res.status}`);
+  return parseRecording(await res.json());
+}
+
+// 記録を JSON ファイルとしてダウンロードさせる
+export function downloadRecording(recording, filename) {
+  const name = filename || `landmarks-${(recording.createdAt || new Date().toISOString()).replace(/[:.]/g, '-')}.json`;
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// 記録を 1 フレームずつ返すリプレイソース。時刻は記録時の値をそのまま使うため、
+// 描画ループの速度に関係なく同じ入力列が得られる。
+export class ReplaySource {
+  constructor(recording) {
+    this.recording = parseRecording(recording);
+    this.index = 0;
+  }
+
+  get mirror() { return !!this.recording.mirror; }
+  get length() { return this.recording.frames.length; }
+  get done() { return this.index >= this.recording.frames.length; }
+
+  next() {
+    if (this.done) return null;
+    return this.recording.frames[this.index++];
+  }
+
+  rewind() { this.index = 0; }
+}
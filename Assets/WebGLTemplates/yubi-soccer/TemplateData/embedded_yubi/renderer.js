@@ -1,7 +1,14 @@
-// renderer.js - Three.js 初期化とシーン構築（描画責務を分離）
-import * as THREE from 'https://unpkg.com/three@0.160.0/build/three.module.js';
+// renderer.js - Three.js 初期化とシーン構築（描画責務を分離）、単体ページの練習モード
+import { loadThree } from './assets.js';
+import { FIELD, getState, resetBall, onGoal } from './main.js';
 
-export function setupRenderer(canvas) {
+// three.js は setupRenderer で初めて読み込む（ローカル優先、assets.js の ASSET_CFG.order）。
+// モジュールの評価では待たないので、three.js が取れなくてもページ本体（ハンドシェイク・起動診断・手の追跡）は動く
+let THREE = null;
+
+// 読み込めなければ assets.js の例外（assetKind: 'three'）をそのまま投げる
+export async function setupRenderer(canvas) {
+  THREE = await loadThree();
   const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
   renderer.setPixelRatio(Math.min(devicePixelRatio, 2));
   renderer.setSize(window.innerWidth, window.innerHeight);
@@ -25,16 +32,19 @@ export function setupRenderer(canvas) {
   let field = null;
   let ball = null;
   if (!isEmbedded) {
-    // フィールド平面
-    const fieldGeo = new THREE.PlaneGeometry(20, 40);
+    // フィールド平面（寸法は物理と共有）
+    const fieldGeo = new THREE.PlaneGeometry(FIELD.width, FIELD.length);
     const fieldMat = new THREE.MeshStandardMaterial({ color: 0x1b5e20, roughness: 1.0, metalness: 0.0 });
     field = new THREE.Mesh(fieldGeo, fieldMat);
     field.rotation.x = -Math.PI / 2;
     field.position.y = 0 - 0.001;
     scene.add(field);
+    scene.add(createBoundary());
+    scene.add(createGoal(-1));
+    scene.add(createGoal(1));
 
     // ボール（物理モジュールへ参照を渡すためエクスポートする）
-    const ballGeo = new THREE.SphereGeometry(0.3, 32, 16);
+    const ballGeo = new THREE.SphereGeometry(FIELD.ballRadius, 32, 16);
     const ballMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.6, metalness: 0.1 });
     ball = new THREE.Mesh(ballGeo, ballMat);
     ball.position.set(0, 0.3, 0);
@@ -48,6 +58,278 @@ export function setupRenderer(canvas) {
   return { scene, camera, renderer, clock, ball, field, isEmbedded };
 }
 
+// 外周の線（物理の壁は無限に高いが、見た目はラインだけにする）
+function createBoundary() {
+  const hw = FIELD.width / 2;
+  const hl = FIELD.length / 2;
+  const pts = [[-hw, -hl], [hw, -hl], [hw, hl], [-hw, hl], [-hw, -hl]].map(([x, z]) => new THREE.Vector3(x, 0.01, z));
+  return new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), new THREE.LineBasicMaterial({ color: 0xffffff }));
+}
+
+// ゴール枠（ポスト 2 本とクロスバー）と半透明のネット。side: -1 が奥（far）、1 が手前（near）
+function createGoal(side) {
+  const g = FIELD.goal;
+  const group = new THREE.Group();
+  const frameMat = new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.4, metalness: 0.2 });
+  const postGeo = new THREE.CylinderGeometry(g.postRadius, g.postRadius, g.height, 12);
+  for (const x of [-g.width / 2, g.width / 2]) {
+    const post = new THREE.Mesh(postGeo, frameMat);
+    post.position.set(x, g.height / 2, 0);
+    group.add(post);
+  }
+  const bar = new THREE.Mesh(new THREE.CylinderGeometry(g.postRadius, g.postRadius, g.width + g.postRadius * 2, 12), frameMat);
+  bar.rotation.z = Math.PI / 2;
+  bar.position.set(0, g.height, 0);
+  group.add(bar);
+
+  const netMat = new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.25 });
+  const back = new THREE.Mesh(new THREE.PlaneGeometry(g.width, g.height, 12, 4), netMat);
+  back.position.set(0, g.height / 2, side * g.depth);
+  group.add(back);
+  const top = new THREE.Mesh(new THREE.PlaneGeometry(g.width, g.depth, 12, 3), netMat);
+  top.rotation.x = Math.PI / 2;
+  top.position.set(0, g.height, side * g.depth / 2);
+  group.add(top);
+  for (const x of [-g.width / 2, g.width / 2]) {
+    const net = new THREE.Mesh(new THREE.PlaneGeometry(g.depth, g.height, 3, 4), netMat);
+    net.rotation.y = Math.PI / 2;
+    net.position.set(x, g.height / 2, side * g.depth / 2);
+    group.add(net);
+  }
+  group.position.z = side * FIELD.length / 2;
+  return group;
+}
+
+// 単体ページの練習モード（1 ラウンド制のミニゲーム）。
+// 開始画面 → カウントダウン → 制限時間内にリングを通す/ゴールを決めて得点 → 結果画面。
+// 操作は RUN/KICK のみ（ボールは物理が動かす）。開始と再挑戦は KICK（handleKick）かボタン
+export const PRACTICE_CFG = {
+  roundSec: 60,
+  countdownSec: 3,
+  rings: 2, // 同時に出すリングの数
+  ringRadius: 0.9, // リングの内径（m）
+  // リングを出す範囲（奥側の半分。中心の高さは 0.6〜1.8 m）
+  ringArea: { xMax: 7, zMin: -16, zMax: -5, yMin: 0.6, yMax: 1.8 },
+  ringPoints: 1,
+  goalPoints: 3,
+  // ボールが止まってからこの時間でセンターに戻す（RUN は前にしか進めないため）
+  restResetSec: 1.0,
+  restSpeed: 0.3,
+  // カメラ追従（ボールからの相対位置、注視点、追従の速さ 1/s）
+  follow: { offset: [0, 3, 8], lookAt: [0, 0.7, 0], rate: 4 },
+};
+
+const PRACTICE_BEST_KEY = 'yubiPracticeBestV1';
+
+export class PracticeMode {
+  constructor({ three, cfg = PRACTICE_CFG, random = Math.random, parent = document.getElementById('app') || document.body }) {
+    this.three = three;
+    this.cfg = cfg;
+    this.random = random;
+    this.parent = parent;
+    // 'idle'（開始画面） / 'countdown' / 'playing' / 'ended'（結果画面）
+    this.phase = 'idle';
+    this.phaseTime = 0;
+    this.score = 0;
+    this.hits = { rings: 0, goals: 0 };
+    this.best = loadBest();
+    this.rings = [];
+    this.restTime = 0;
+    this.newBest = false;
+    this.lookTarget = new THREE.Vector3(0, cfg.follow.lookAt[1], 0);
+    this.build();
+    this.offGoal = onGoal(() => this.onGoal());
+    this.showScreen();
+  }
+
+  build() {
+    const root = document.createElement('div');
+    root.id = 'practiceMode';
+    root.style.cssText = 'position:absolute; inset:0; z-index:4; pointer-events:none; display:flex; flex-direction:column; align-items:center;';
+    root.innerHTML = `
+      <div id="practiceHud" style="margin-top:8px; padding:4px 12px; border-radius:8px; background:rgba(0,0,0,0.45); font-size:18px; font-weight:700; font-variant-numeric:tabular-nums; display:none;"></div>
+      <div id="practiceScreen" style="margin:auto; padding:16px 20px; border-radius:10px; background:rgba(16,16,16,0.85); border:1px solid rgba(255,255,255,0.15); text-align:center; pointer-events:auto; display:none;">
+        <div id="practiceTitle" style="font-size:22px; font-weight:700; margin-bottom:6px;"></div>
+        <div id="practiceBody" style="font-size:14px; opacity:0.9; white-space:pre-line; margin-bottom:10px;"></div>
+        <button id="practiceStart">スタート</button>
+      </div>`;
+    root.querySelector('#practiceStart').addEventListener('click', () => this.start());
+    this.parent.appendChild(root);
+    this.root = root;
+    this.hudEl = root.querySelector('#practiceHud');
+    this.screenEl = root.querySelector('#practiceScreen');
+    this.titleEl = root.querySelector('#practiceTitle');
+    this.bodyEl = root.querySelector('#practiceBody');
+  }
+
+  // 開始画面/結果画面（playing 中は隠す）
+  showScreen() {
+    const c = this.cfg;
+    if (this.phase === 'idle') {
+      this.titleEl.textContent = '練習モード';
+      this.bodyEl.textContent = `${c.roundSec} 秒でリング +${c.ringPoints} / ゴール +${c.goalPoints}\nRUN で前へ運び、KICK で蹴る\nKICK でスタート`;
+    } else if (this.phase === 'ended') {
+      const best = this.newBest ? '（ベスト更新）' : `ベスト ${this.best}`;
+      this.titleEl.textContent = `${this.score} 点`;
+      this.bodyEl.textContent = `リング ${this.hits.rings} / ゴール ${this.hits.goals}\n${best}\nKICK でもう一度`;
+    }
+    this.screenEl.style.display = (this.phase === 'idle' || this.phase === 'ended') ? '' : 'none';
+    this.hudEl.style.display = this.phase === 'idle' ? 'none' : '';
+  }
+
+  // KICK への遷移（HandTracker の kick イベント）。開始画面と結果画面ではラウンドを始める
+  handleKick() {
+    if (this.phase === 'idle' || this.phase === 'ended') this.start();
+  }
+
+  start() {
+    if (this.phase === 'countdown' || this.phase === 'playing') return;
+    this.phase = 'countdown';
+    this.phaseTime = 0;
+    this.score = 0;
+    this.hits = { rings: 0, goals: 0 };
+    resetBall();
+    this.clearRings();
+    this.showScreen();
+    this.renderHud();
+  }
+
+  finish() {
+    this.phase = 'ended';
+    this.clearRings();
+    this.newBest = this.score > this.best;
+    if (this.newBest) {
+      this.best = this.score;
+      saveBest(this.best);
+    }
+    this.showScreen();
+    this.renderHud();
+  }
+
+  // 描画ループから毎フレーム（物理の更新後）
+  update(dt) {
+    const ball = this.three.ball;
+    if (!ball) return;
+    this.phaseTime += dt;
+    if (this.phase === 'countdown' && this.phaseTime >= this.cfg.countdownSec) {
+      this.phase = 'playing';
+      this.phaseTime = 0;
+      resetBall();
+      while (this.rings.length < this.cfg.rings) this.spawnRing();
+    }
+    if (this.phase === 'playing') {
+      this.checkRings(ball.position);
+      if (this.phaseTime >= this.cfg.roundSec) this.finish();
+    }
+    this.resetWhenResting(dt);
+    this.follow(ball.position, dt);
+    for (const ring of this.rings) ring.mesh.rotation.y = Math.sin(this.phaseTime * 2 + ring.phase) * 0.3;
+    if (this.phase !== 'idle') this.renderHud();
+  }
+
+  renderHud() {
+    if (this.phase === 'countdown') {
+      this.hudEl.textContent = String(Math.max(1, Math.ceil(this.cfg.countdownSec - this.phaseTime)));
+    } else {
+      const left = this.phase === 'playing' ? Math.max(0, this.cfg.roundSec - this.phaseTime) : 0;
+      this.hudEl.textContent = `${this.score} 点　残り ${Math.ceil(left)} 秒`;
+    }
+  }
+
+  onGoal() {
+    if (this.phase !== 'playing') return;
+    this.score += this.cfg.goalPoints;
+    this.hits.goals++;
+  }
+
+  // リング（ボールの進む向きに正対する輪）を範囲内のランダムな位置に置く
+  spawnRing() {
+    const a = this.cfg.ringArea;
+    const r = this.cfg.ringRadius;
+    const mesh = new THREE.Mesh(
+      new THREE.TorusGeometry(r + 0.06, 0.06, 8, 32),
+      new THREE.MeshStandardMaterial({ color: 0xffd54f, emissive: 0x664400, roughness: 0.5 }),
+    );
+    mesh.position.set(
+      (this.random() * 2 - 1) * a.xMax,
+      a.yMin + this.random() * (a.yMax - a.yMin),
+      a.zMin + this.random() * (a.zMax - a.zMin),
+    );
+    this.three.scene.add(mesh);
+    // prevZ: 前回フレームのボールの z（面を横切ったかの判定用）
+    this.rings.push({ mesh, prevZ: null, phase: this.random() * Math.PI * 2 });
+  }
+
+  // リングの面（z 一定）を横切ったフレームで、交点が内径の内側なら得点。
+  // 1 フレームで大きく動いたとき（resetBall でセンターへ戻ったとき）は数えない
+  checkRings(pos) {
+    const inner = this.cfg.ringRadius - FIELD.ballRadius * 0.5;
+    for (const ring of this.rings.slice()) {
+      const c = ring.mesh.position;
+      const prevZ = ring.prevZ;
+      ring.prevZ = pos.z;
+      const crossed = prevZ !== null && Math.sign(prevZ - c.z) !== Math.sign(pos.z - c.z) && Math.abs(pos.z - prevZ) < 1;
+      if (!crossed || Math.hypot(pos.x - c.x, pos.y - c.y) > inner) continue;
+      this.score += this.cfg.ringPoints;
+      this.hits.rings++;
+      this.removeRing(ring);
+      this.spawnRing();
+    }
+  }
+
+  removeRing(ring) {
+    this.three.scene.remove(ring.mesh);
+    ring.mesh.geometry.dispose();
+    ring.mesh.material.dispose();
+    this.rings.splice(this.rings.indexOf(ring), 1);
+  }
+
+  clearRings() {
+    while (this.rings.length) this.removeRing(this.rings[0]);
+  }
+
+  // 止まったボールをセンターに戻す（ゴール後はページ側の resetBall に任せる）
+  resetWhenResting(dt) {
+    const s = getState();
+    if (s.goalScored || !s.position) { this.restTime = 0; return; }
+    const speed = Math.hypot(s.velocity.x, s.velocity.y, s.velocity.z);
+    const away = Math.hypot(s.position.x, s.position.z) > 1;
+    this.restTime = (speed < this.cfg.restSpeed && away) ? this.restTime + dt : 0;
+    if (this.restTime >= this.cfg.restResetSec) {
+      this.restTime = 0;
+      resetBall();
+    }
+  }
+
+  // カメラをボールの後ろ上方へ滑らかに寄せる
+  follow(pos, dt) {
+    const f = this.cfg.follow;
+    const k = 1 - Math.exp(-f.rate * dt);
+    const cam = this.three.camera;
+    cam.position.x += (pos.x + f.offset[0] - cam.position.x) * k;
+    cam.position.y += (f.offset[1] - cam.position.y) * k;
+    cam.position.z += (pos.z + f.offset[2] - cam.position.z) * k;
+    this.lookTarget.x += (pos.x + f.lookAt[0] - this.lookTarget.x) * k;
+    this.lookTarget.y = f.lookAt[1];
+    this.lookTarget.z += (pos.z + f.lookAt[2] - this.lookTarget.z) * k;
+    cam.lookAt(this.lookTarget);
+  }
+
+  dispose() {
+    this.offGoal();
+    this.clearRings();
+    this.root.remove();
+  }
+}
+
+function loadBest() {
+  try { return Number(localStorage.getItem(PRACTICE_BEST_KEY)) || 0; } catch (e) { return 0; }
+}
+
+function saveBest(score) {
+  try { localStorage.setItem(PRACTICE_BEST_KEY, String(score)); } catch (e) { /* localStorage 不可 */ }
+}
+
 export function resizeRendererToDisplaySize(renderer, camera) {
   const w = window.innerWidth;
   const h = window.innerHeight;
@@ -0,0 +1,126 @@
+// sw.js - オフライン起動用の Service Worker（スコープはこのディレクトリ = embedded_yubi/）
+// - アプリ本体（index.html と各モジュール）はネットワーク優先。届かなければキャッシュから返す
+// - 版付きで内容が変わらないアセット（ローカル vendor/ と CDN の tasks-vision・wasm・モデル・three.js）はキャッシュ優先
+// - ページは初期化後に実際に使えた URL を { type: 'precache', urls } で送り、ここでまとめてキャッシュする
+//   （初回訪問のページはまだこの Service Worker の管理下に無いため、読み込みを横取りするだけではキャッシュできない）
+// 2 回目以降の訪問はネットワークが無くても起動できる。
+
+// キャッシュの中身や SHELL を変えたら上げる（古いキャッシュは activate で消す）
+const VERSION = 'v2';
+const SHELL_CACHE = `yubi-shell-${VERSION}`;
+const ASSET_CACHE = `yubi-assets-${VERSION}`;
+
+const SHELL = [
+  './',
+  './index.html',
+  './protocol.js',
+  './assets.js',
+  './main.js',
+  './renderer.js',
+  './hand.js',
+  './gesture.js',
+  './utils.js',
+  './landmarker.js',
+  './landmarker_worker.js',
+  './governor.js',
+  './camera.js',
+  './diagnostics.js',
+  './config.js',
+  './calibration.js',
+  './training.js',
+  './recorder.js',
+  './ml.js',
+];
+
+// assets.js の ASSET_SOURCES にある CDN
+const ASSET_HOSTS = ['cdn.jsdelivr.net', 'unpkg.com', 'storage.googleapis.com'];
+
+function isAsset(url) {
+  if (ASSET_HOSTS.includes(url.hostname)) return true;
+  return url.origin === self.location.origin && url.pathname.startsWith(new URL('./vendor/', self.location).pathname);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    // 1 つ取れなくてもインストール自体は失敗させない（次の訪問で取り直す）
+    await Promise.all(SHELL.map((u) => cache.add(u).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, ASSET_CACHE];
+    for (const key of await caches.keys()) {
+      if (key.startsWith('yubi-') && !keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+async function precache(urls) {
+  const cache = await caches.open(ASSET_CACHE);
+  const result = { cached: 0, failed: [] };
+  for (const url of urls) {
+    try {
+      if (await cache.match(url)) { result.cached++; continue; }
+      const res = await fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      await cache.put(url, res);
+      result.cached++;
+    } catch (e) {
+      result.failed.push(url);
+    }
+  }
+  return result;
+}
+
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  if (msg.type !== 'precache' || !Array.isArray(msg.urls)) return;
+  event.waitUntil(precache(msg.urls).then((result) => {
+    if (event.source) event.source.postMessage({ type: 'precached', ...result });
+  }));
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(ASSET_CACHE);
+  const hit = await cache.match(request.url);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request.url, res.clone()).catch(() => {});
+  return res;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone()).catch(() => {});
+    return res;
+  } catch (e) {
+    // ?hands=2 などのクエリ付きでもキャッシュ済みのページを返す
+    const hit = await cache.match(request, { ignoreSearch: true });
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method === 'HEAD' && isAsset(url)) {
+    // assets.js は wasm ディレクトリの存在を HEAD で確かめる。キャッシュ済みならヘッダだけ返す
+    event.respondWith(caches.open(ASSET_CACHE)
+      .then((cache) => cache.match(request.url))
+      .then((hit) => (hit ? new Response(null, { status: hit.status, headers: hit.headers }) : fetch(request))));
+    return;
+  }
+  if (request.method !== 'GET') return;
+  if (isAsset(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.href.startsWith(self.registration.scope)) {
+    event.respondWith(networkFirst(request));
+  }
+});
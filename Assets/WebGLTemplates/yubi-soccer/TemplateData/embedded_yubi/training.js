@@ -0,0 +1,212 @@
+// training.js - キック判定の個人学習スタジオ
+// 「今キック！」「キックしないで」のラウンドを提示し、その間に landmarksBuf へ積まれた窓を切り出して
+// ラベル付けする。集めたデータで LogisticKickModel を学習し、検証用に取り分けたデータで正解率を出して
+// 名前付きキーで localStorage に保存する。
+import { computeKickFeatures, LogisticKickModel, splitDataset, evaluateAccuracy, kickModelKey } from './ml.js';
+
+const TRAIN_CFG = {
+  prepareSec: 1.5,  // 指示を出してから記録開始までの猶予
+  captureSec: 1.0,  // 1 ラウンドで切り出す窓の長さ
+  minFrames: 6,     // 窓に必要な最小フレーム数（手が見えていないラウンドは破棄）
+  autoRounds: 10,   // 自動ラウンド数（キック/非キック半々）
+  testRatio: 0.25,  // 検証に回す割合
+  fit: { epochs: 300, lr: 0.1, l2: 1e-3 },
+};
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// tracker.landmarksBuf から時刻 [t0, t1] の窓を切り出す（見失い中に外挿したフレームは学習に使わない）
+export function sliceWindow(buf, t0, t1) {
+  return buf.toArray().filter((e) => e.t >= t0 && e.t <= t1 && !e.predicted);
+}
+
+export class KickTrainingSession {
+  constructor({ tracker, cfg = TRAIN_CFG } = {}) {
+    this.tracker = tracker;
+    this.cfg = cfg;
+    this.samples = []; // { label: 0|1, feat: Float32Array, frames: number, t: number }
+    this.model = null;
+    this.report = null;
+    this.busy = false;
+  }
+
+  get counts() {
+    const pos = this.samples.filter((s) => s.label === 1).length;
+    return { pos, neg: this.samples.length - pos };
+  }
+
+  // 1 ラウンド実行。onPhase(phase, label) で UI に段階を通知する。採用したサンプルまたは null を返す
+  async runRound(label, onPhase = () => {}) {
+    const { prepareSec, captureSec, minFrames } = this.cfg;
+    onPhase('prepare', label);
+    await sleep(prepareSec * 1000);
+    onPhase('capture', label);
+    const t0 = performance.now() / 1000;
+    await sleep(captureSec * 1000);
+    const t1 = performance.now() / 1000;
+    const win = sliceWindow(this.tracker.landmarksBuf, t0, t1);
+    const feat = win.length >= minFrames ? computeKickFeatures(win) : null;
+    if (!feat) { onPhase('rejected', label); return null; }
+    const sample = { label, feat, frames: win.length, t: t1 };
+    this.samples.push(sample);
+    onPhase('accepted', label);
+    return sample;
+  }
+
+  // キック/非キックを交互（順序はランダム）に n ラウンド実行する
+  async runRounds(n = this.cfg.autoRounds, onPhase) {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      const labels = [];
+      for (let i = 0; i < n; i++) labels.push(i % 2);
+      for (let i = labels.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [labels[i], labels[j]] = [labels[j], labels[i]]; }
+      for (const label of labels) {
+        if (!this.busy) break;
+        await this.runRound(label, onPhase);
+      }
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  cancel() { this.busy = false; }
+
+  removeLast() { this.samples.pop(); }
+
+  clear() { this.samples = []; this.model = null; this.report = null; }
+
+  // 学習して検証精度を返す。両クラスのサンプルが必要
+  train() {
+    const { pos, neg } = this.counts;
+    if (pos < 2 || neg < 2) throw new Error('キック/非キックをそれぞれ 2 件以上集めてください');
+    const X = this.samples.map((s) => s.feat);
+    const y = this.samples.map((s) => s.label);
+    const { train, test } = splitDataset(X, y, { testRatio: this.cfg.testRatio });
+    const model = new LogisticKickModel();
+    const { acc } = model.fit(train.X, train.y, this.cfg.fit);
+    this.model = model;
+    this.report = { trainAcc: acc, testAcc: evaluateAccuracy(model, test.X, test.y), nTrain: train.X.length, nTest: test.X.length };
+    return this.report;
+  }
+
+  save(name) {
+    if (!this.model) throw new Error('先に学習してください');
+    const key = kickModelKey(name);
+    this.model.saveToLocalStorage(key);
+    return key;
+  }
+}
+
+const PROMPT_TEXT = {
+  prepare: (label) => label ? '準備… 次に「キック」' : '準備… 次は「キックしない」',
+  capture: (label) => label ? '今キック！' : 'キックしないで（普段どおり動かす）',
+  accepted: () => '記録しました',
+  rejected: () => '手が見えませんでした（破棄）',
+};
+
+// 埋め込みページ上に重ねる学習 UI
+export class KickTrainingStudio {
+  constructor({ tracker, parent = document.getElementById('app') || document.body }) {
+    this.session = new KickTrainingSession({ tracker });
+    this.parent = parent;
+    this.root = null;
+  }
+
+  open() {
+    if (!this.root) this.build();
+    this.root.style.display = 'flex';
+    this.render();
+  }
+
+  close() {
+    this.session.cancel();
+    if (this.root) this.root.style.display = 'none';
+  }
+
+  build() {
+    const root = document.createElement('div');
+    root.id = 'trainingStudio';
+    root.style.cssText = 'position:absolute; inset:0; z-index:6; display:none; flex-direction:column; justify-content:space-between; pointer-events:none; font-size:13px;';
+    root.innerHTML = `
+      <div id="trainPrompt" style="align-self:center; margin-top:12px; padding:6px 12px; border-radius:8px; background:rgba(0,0,0,0.55); font-size:18px; font-weight:700; min-height:1.2em;"></div>
+      <div style="pointer-events:auto; background:rgba(16,16,16,0.85); border-top:1px solid rgba(255,255,255,0.15); padding:8px; display:flex; flex-direction:column; gap:6px;">
+        <div style="display:flex; justify-content:space-between; align-items:center;">
+          <b>キック学習</b>
+          <span id="trainCounts"></span>
+        </div>
+        <div style="display:flex; flex-wrap:wrap; gap:6px;">
+          <button data-act="auto">自動ラウンド</button>
+          <button data-act="pos">キック 1回</button>
+          <button data-act="neg">非キック 1回</button>
+          <button data-act="undo">1件削除</button>
+          <button data-act="clear">全消去</button>
+        </div>
+        <div id="trainSamples" style="display:flex; flex-wrap:wrap; gap:2px; min-height:10px;"></div>
+        <div style="display:flex; flex-wrap:wrap; gap:6px; align-items:center;">
+          <button data-act="train">学習</button>
+          <input id="trainModelName" placeholder="保存名 (例: taro)" style="width:9em; padding:2px 4px; background:#111; color:#fff; border:1px solid rgba(255,255,255,0.2); border-radius:4px;">
+          <button data-act="save">保存</button>
+          <button data-act="close">閉じる</button>
+        </div>
+        <div id="trainReport" style="opacity:0.85;"></div>
+      </div>`;
+    root.addEventListener('click', (e) => {
+      const act = e.target && e.target.dataset ? e.target.dataset.act : null;
+      if (act) this.handle(act);
+    });
+    this.parent.appendChild(root);
+    this.root = root;
+    this.promptEl = root.querySelector('#trainPrompt');
+    this.countsEl = root.querySelector('#trainCounts');
+    this.samplesEl = root.querySelector('#trainSamples');
+    this.reportEl = root.querySelector('#trainReport');
+    this.nameEl = root.querySelector('#trainModelName');
+  }
+
+  async handle(act) {
+    const s = this.session;
+    const onPhase = (phase, label) => {
+      this.promptEl.textContent = PROMPT_TEXT[phase](label);
+      this.promptEl.style.color = (phase === 'capture' && label) ? '#ff6' : '#fff';
+      if (phase === 'accepted' || phase === 'rejected') this.render();
+    };
+    try {
+      if (act === 'auto') { await s.runRounds(undefined, onPhase); this.promptEl.textContent = ''; }
+      else if (act === 'pos' || act === 'neg') {
+        if (s.busy) return;
+        s.busy = true;
+        try { await s.runRound(act === 'pos' ? 1 : 0, onPhase); } finally { s.busy = false; }
+      }
+      else if (act === 'undo') s.removeLast();
+      else if (act === 'clear') s.clear();
+      else if (act === 'train') {
+        const r = s.train();
+        this.reportEl.textContent = `学習 ${r.nTrain} 件: 正解率 ${(r.trainAcc * 100).toFixed(0)}% / 検証 ${r.nTest} 件: 正解率 ${isNaN(r.testAcc) ? '-' : (r.testAcc * 100).toFixed(0) + '%'}`;
+      }
+      else if (act === 'save') {
+        const key = s.save(this.nameEl.value.trim());
+        this.reportEl.textContent = `保存しました: ${key}`;
+      }
+      else if (act === 'close') this.close();
+    } catch (e) {
+      console.warn('[KickTraining]', e);
+      this.reportEl.textContent = e && e.message ? e.message : String(e);
+    }
+    this.render();
+  }
+
+  render() {
+    if (!this.root) return;
+    const { pos, neg } = this.session.counts;
+    this.countsEl.textContent = `キック ${pos} / 非キック ${neg}`;
+    // サンプル一覧: ラベル色のチップ（ツールチップにフレーム数）
+    this.samplesEl.innerHTML = '';
+    for (const smp of this.session.samples) {
+      const chip = document.createElement('span');
+      chip.title = `${smp.label ? 'kick' : 'no-kick'} (${smp.frames} frames)`;
+      chip.style.cssText = `width:10px; height:10px; border-radius:2px; background:${smp.label ? '#f55' : '#5af'};`;
+      this.samplesEl.appendChild(chip);
+    }
+  }
+}
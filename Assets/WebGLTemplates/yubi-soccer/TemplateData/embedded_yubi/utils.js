@@ -105,3 +105,69 @@ export function zeroCrossingTimes(t, v, ampThresh = 0) {
   }
   return out;
 }
+
+// One Euro フィルタ（Casiez et al. 2012）。速度に応じてカットオフを上げるため、
+// 静止時のジッタは強く抑え、速い動きには遅れを出さない。
+// cfg: { minCutoff (Hz), beta（速度 1 単位/秒あたりのカットオフ増分）, dCutoff（速度推定のカットオフ Hz） }
+const smoothingAlpha = (cutoff, dt) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+export class OneEuroFilter {
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.reset();
+  }
+  reset() {
+    this.x = null;
+    this.dx = 0;
+    this.t = null;
+  }
+  // t: 秒。同じ時刻・過去の時刻が来たら前回の値を返す
+  filter(x, t) {
+    if (this.x === null) { this.x = x; this.t = t; this.dx = 0; return x; }
+    const dt = t - this.t;
+    if (!(dt > 1e-6)) return this.x;
+    const { minCutoff, beta, dCutoff } = this.cfg;
+    const rawDx = (x - this.x) / dt;
+    this.dx += smoothingAlpha(dCutoff, dt) * (rawDx - this.dx);
+    const cutoff = minCutoff + beta * Math.abs(this.dx);
+    this.x += smoothingAlpha(cutoff, dt) * (x - this.x);
+    this.t = t;
+    return this.x;
+  }
+}
+
+// ランドマーク列（[{x,y,z}]）の各点・各軸に One Euro フィルタを掛ける。
+// cfg は参照で保持するので、実行中の設定変更（enabled / minCutoff / beta / dCutoff）がすぐ効く。
+// 入力が maxGapSec 以上途切れたら（手を見失った等）前の位置から補間しないよう状態を捨てる。
+export class LandmarkFilter {
+  constructor(cfg, { maxGapSec = 0.25 } = {}) {
+    this.filters = [];
+    this.lastT = null;
+    this.configure(cfg, { maxGapSec });
+  }
+  // 設定を差し替える（filter の前に毎回呼べる）。cfg のオブジェクト自体が替わったら各点のフィルタを作り直す
+  configure(cfg, { maxGapSec = this.maxGapSec } = {}) {
+    if (cfg !== this.cfg) this.filters = [];
+    this.cfg = cfg;
+    this.maxGapSec = maxGapSec;
+  }
+  reset() {
+    this.filters = [];
+    this.lastT = null;
+  }
+  filter(lm, t) {
+    if (!this.cfg.enabled) { this.reset(); return lm; }
+    if (this.lastT !== null && (t - this.lastT > this.maxGapSec || t < this.lastT)) this.reset();
+    this.lastT = t;
+    if (this.filters.length !== lm.length) {
+      this.filters = lm.map(() => ({ x: new OneEuroFilter(this.cfg), y: new OneEuroFilter(this.cfg), z: new OneEuroFilter(this.cfg) }));
+    }
+    return lm.map((p, i) => {
+      const f = this.filters[i];
+      return { x: f.x.filter(p.x, t), y: f.y.filter(p.y, t), z: f.z.filter(p.z ?? 0, t) };
+    });
+  }
+}
@@ -1,35 +1,380 @@
 // recognition_overlay.js
-// 親ページ上で JSON の認識結果を表示する簡易オーバーレイ受信器。
-// 埋め込み iframe から postMessage で受け取るか、Unity 側や他スクリプトから
-// window.updateRecognition(json) を呼び出して使用します。
+// 親ページ上の認識デバッグダッシュボード。既定は非表示で、` キー（または ?dashboard=1）で表示を切り替える。
+// - 状態（NONE/RUN/CHARGE/KICK）の帯のタイムラインと、confidence / runConf / tipSpeedPeak / fps の折れ線
+// - iframe から受け取ったメッセージ数と、Unity へ転送した数（種類ごと）
+// - カメラフレームの取り込みから Unity への SendMessage（と任意の Unity の受領）までの区間ごとのレイテンシ（パーセンタイル）
+// - 一時停止してスライダーで遡る、取り込んだバッファを JSON で書き出す
+// 埋め込み iframe のメッセージは index.html のリレー（protocol.js で検証済み）が
+// recognitionDashboard.received(type, data) / forwarded(method, ackId, at) / acked(ackId) で渡します。
+// Unity 側や他スクリプトからは window.updateRecognition(json) で「直近のメッセージ」欄に表示できます。
 (function(){
+  const HISTORY_SEC = 120;     // バッファに残す長さ
+  const VIEW_SEC = 10;         // 1 画面に出す長さ
+  const MAX_SAMPLES = HISTORY_SEC * 60;
+  const GAP_MS = 1000;         // これ以上サンプルが空いたら帯・折れ線を途切れさせる
+  const TELEMETRY_FRESH_MS = 1000; // テレメトリがこの間に届いていれば state メッセージからは取り込まない
+  const HOTKEY = '`';
+  const STATE_COLORS = { NONE: '#555', RUN: '#3c3', CHARGE: '#fc3', KICK: '#f44' };
+  const STATE_PRIORITY = { NONE: 0, RUN: 1, CHARGE: 2, KICK: 3 };
+  // 折れ線。max が null なら表示範囲内の最大値で正規化する
+  const SERIES = [
+    { key: 'confidence', max: 1, color: '#8cf', digits: 2 },
+    { key: 'runConf', max: 1, color: '#3c3', digits: 2 },
+    { key: 'tipSpeedPeak', max: null, color: '#f9c', digits: 0 },
+    { key: 'fps', max: 60, color: '#ccc', digits: 1 },
+  ];
+  const LATENCY_MAX = 2000; // レイテンシを残すメッセージ数
+  // レイテンシの区間（時刻はすべてエポックミリ秒）。sentAt は封筒の ts（Date.now()）なので、
+  // send / receive の境目はほかの時刻（performance.timeOrigin 基準）と数 ms ずれうる
+  const LATENCY_SEGMENTS = [
+    { key: 'detect', from: 'capturedAt', to: 'detectedAt' },   // 推論（Worker の待ちを含む）
+    { key: 'send', from: 'detectedAt', to: 'sentAt' },         // 分類と送信（検出スロットル中の使い回しを含む）
+    { key: 'receive', from: 'sentAt', to: 'receivedAt' },      // postMessage
+    { key: 'forward', from: 'receivedAt', to: 'forwardedAt' }, // リレー（同じ状態の抑制、Unity 読み込み中の保留）
+    { key: 'ack', from: 'forwardedAt', to: 'ackedAt' },        // SendMessage から Unity の受領まで（ackMessages 有効時）
+    { key: 'total', from: 'capturedAt', to: 'forwardedAt' },
+  ];
+  const BAND_H = 14;
+  const ROW_H = 30;
+  const CHART_W = 340;
+
+  const samples = [];
+  const counters = { received: {}, forwarded: {} };
+  // テレメトリが無いときの state メッセージの手ごとの直近（両手モードは優先度でまとめる）
+  const handStates = {};
+  // レイテンシ計測（id → 記録）。挿入順なので古いものから捨てる
+  const latency = new Map();
+  let latencySeq = 0;
+  let lastTelemetryAt = -Infinity;
+  let paused = false;
+  let viewEnd = 0;   // 一時停止中の表示範囲の右端（performance.now() の ms）
+  let visible = false;
+  let rafId = 0;
+  let countersDrawnAt = -Infinity;
+  let ui = null;
+
   function ensurePanel(){
-    if (window.__recognitionPanelInited) return;
-    window.__recognitionPanelInited = true;
+    if (ui) return ui;
     const panel = document.getElementById('recognition-panel');
-    if (!panel) return;
-    const content = document.createElement('pre');
-    content.id = 'recognition-content';
-    content.style.margin = '0';
-    content.style.whiteSpace = 'pre-wrap';
-    content.style.wordBreak = 'break-word';
-    panel.appendChild(content);
+    if (!panel) return null;
+    const el = (tag, id, css) => { const e = document.createElement(tag); if (id) e.id = id; if (css) e.style.cssText = css; return e; };
+    const button = (label, onclick) => { const b = el('button'); b.type = 'button'; b.textContent = label; b.onclick = onclick; return b; };
+
+    const toolbar = el('div', 'recognition-toolbar');
+    const pauseBtn = button('一時停止', () => (paused ? resume() : pause()));
+    toolbar.appendChild(pauseBtn);
+    toolbar.appendChild(button('書き出し', () => exportBuffer()));
+    toolbar.appendChild(button('クリア', () => clear()));
+    // runConf / tipSpeedPeak / fps はテレメトリからしか取れない
+    const telemetryBtn = button('テレメトリ', () => {
+      if (typeof window.__yubiTelemetry !== 'function') return;
+      window.__yubiTelemetry(telemetryFresh() ? 0 : 30);
+    });
+    toolbar.appendChild(telemetryBtn);
+
+    const canvas = el('canvas', 'recognition-chart');
+    canvas.width = CHART_W;
+    canvas.height = BAND_H + 4 + SERIES.length * ROW_H;
+    const scrub = el('input', 'recognition-scrub');
+    scrub.type = 'range';
+    scrub.min = '0';
+    scrub.max = '1000';
+    scrub.value = '1000';
+    scrub.disabled = true;
+    scrub.oninput = () => { viewEnd = scrubToTime(Number(scrub.value)); draw(); };
+    const readout = el('div', 'recognition-readout');
+    const counts = el('div', 'recognition-counters');
+    const latencyBox = el('div', 'recognition-latency');
+
+    // index.html に置いてある pre をそのまま「直近のメッセージ」欄に使う
+    let content = document.getElementById('recognition-content');
+    if (!content) {
+      content = el('pre', 'recognition-content');
+      panel.appendChild(content);
+    }
+    panel.insertBefore(toolbar, content);
+    panel.insertBefore(canvas, content);
+    panel.insertBefore(scrub, content);
+    panel.insertBefore(readout, content);
+    panel.insertBefore(counts, content);
+    panel.insertBefore(latencyBox, content);
+    ui = { panel, pauseBtn, telemetryBtn, canvas, scrub, readout, counts, latency: latencyBox, content };
+    return ui;
+  }
+
+  function telemetryFresh(){
+    return performance.now() - lastTelemetryAt < TELEMETRY_FRESH_MS;
+  }
+
+  function addSample(s){
+    samples.push(s);
+    while (samples.length > MAX_SAMPLES || (samples.length && s.t - samples[0].t > HISTORY_SEC * 1000)) samples.shift();
+  }
+
+  const epochNow = () => performance.timeOrigin + performance.now();
+
+  // iframe から受け取った（検証済みの）メッセージ 1 件。state / telemetry はサンプルとして取り込む。
+  // timing 付きならレイテンシの記録を作り、その id を返す（リレーは Unity へのペイロードに ackId として載せる）
+  function received(type, data){
+    counters.received[type] = (counters.received[type] || 0) + 1;
+    if (paused || !data) return null;
+    const now = performance.now();
+    if (type === 'telemetry' && data.actionState) {
+      const a = data.actionState;
+      lastTelemetryAt = now;
+      addSample({ t: now, state: a.state, confidence: a.confidence, runConf: a.runConf, tipSpeedPeak: a.tipSpeedPeak, fps: a.fps });
+    } else if (type === 'state' && !telemetryFresh()) {
+      handStates[data.hand || ''] = data;
+      let top = null;
+      for (const h in handStates) {
+        const d = handStates[h];
+        if (!top || (STATE_PRIORITY[d.state] || 0) > (STATE_PRIORITY[top.state] || 0)) top = d;
+      }
+      addSample({ t: now, state: top.state, confidence: top.confidence, runConf: null, tipSpeedPeak: null, fps: null });
+    }
+    if (!data.timing) return null;
+    const id = ++latencySeq;
+    latency.set(id, {
+      id, type, hand: data.hand || null,
+      capturedAt: data.timing.capturedAt, detectedAt: data.timing.detectedAt, sentAt: data.ts,
+      receivedAt: epochNow(), forwardedAt: null, ackedAt: null,
+    });
+    if (latency.size > LATENCY_MAX) latency.delete(latency.keys().next().value);
+    return id;
+  }
+
+  // Unity（EmbeddedReceiver）へ SendMessage できた 1 件。at は SendMessage を呼ぶ直前の時刻
+  // （Unity の受領は SendMessage の中で同期的に届くので、呼んだ後の時刻だと受領より後になる）
+  function forwarded(method, ackId, at){
+    counters.forwarded[method] = (counters.forwarded[method] || 0) + 1;
+    const r = ackId && latency.get(ackId);
+    if (r && r.forwardedAt == null) r.forwardedAt = at || epochNow();
+  }
+
+  // Unity からの受領（HandStateReceiver.ackMessages 有効時）
+  function acked(ackId){
+    const r = latency.get(ackId);
+    if (r && r.ackedAt == null) r.ackedAt = epochNow();
+  }
+
+  // 区間ごとの p50 / p90 / p99 / max（ms）と件数
+  function latencySummary(){
+    const records = Array.from(latency.values());
+    const out = { messages: records.length, forwarded: 0, acked: 0, segments: {} };
+    for (const r of records) {
+      if (r.forwardedAt != null) out.forwarded++;
+      if (r.ackedAt != null) out.acked++;
+    }
+    const pct = (v, q) => v[Math.min(v.length - 1, Math.floor(q * v.length))];
+    for (const seg of LATENCY_SEGMENTS) {
+      const v = [];
+      for (const r of records) if (r[seg.from] != null && r[seg.to] != null) v.push(r[seg.to] - r[seg.from]);
+      v.sort((a, b) => a - b);
+      out.segments[seg.key] = v.length
+        ? { n: v.length, p50: pct(v, 0.5), p90: pct(v, 0.9), p99: pct(v, 0.99), max: v[v.length - 1] }
+        : { n: 0 };
+    }
+    return out;
+  }
+
+  function formatLatency(sum){
+    const col = (v) => fmt(v, 1).padStart(7);
+    const lines = [`レイテンシ ms ${['p50', 'p90', 'p99', 'max'].map((h) => h.padStart(7)).join('')}      n`];
+    for (const seg of LATENCY_SEGMENTS) {
+      const s = sum.segments[seg.key];
+      lines.push(`${seg.key.padEnd(13)} ${col(s.p50)}${col(s.p90)}${col(s.p99)}${col(s.max)}${String(s.n).padStart(7)}`);
+    }
+    lines.push(`転送 ${sum.forwarded}/${sum.messages}  Unity 受領 ${sum.acked}`);
+    return lines.join('\n');
+  }
+
+  // スライダー位置（0..1000）→ 表示範囲の右端。バッファの先頭から VIEW_SEC 後〜末尾
+  function scrubToTime(v){
+    if (!samples.length) return performance.now();
+    const last = samples[samples.length - 1].t;
+    const first = Math.min(samples[0].t + VIEW_SEC * 1000, last);
+    return first + (last - first) * v / 1000;
+  }
+
+  function pause(){
+    paused = true;
+    viewEnd = samples.length ? samples[samples.length - 1].t : performance.now();
+    if (ui) {
+      ui.pauseBtn.textContent = '再開';
+      ui.scrub.disabled = false;
+      ui.scrub.value = '1000';
+    }
+    draw();
+  }
+
+  function resume(){
+    paused = false;
+    if (ui) {
+      ui.pauseBtn.textContent = '一時停止';
+      ui.scrub.disabled = true;
+      ui.scrub.value = '1000';
+    }
   }
 
+  function clear(){
+    samples.length = 0;
+    for (const h in handStates) delete handStates[h];
+    latency.clear();
+    counters.received = {};
+    counters.forwarded = {};
+    countersDrawnAt = -Infinity;
+    draw();
+  }
+
+  // 取り込んだバッファを JSON でダウンロードする。t は performance.now() の ms（timeOrigin を足すとエポック ms）
+  function exportBuffer(filename){
+    const data = {
+      exportedAt: new Date().toISOString(),
+      timeOrigin: performance.timeOrigin,
+      samples: samples.slice(),
+      counters: { received: Object.assign({}, counters.received), forwarded: Object.assign({}, counters.forwarded) },
+      latency: { summary: latencySummary(), records: Array.from(latency.values(), (r) => Object.assign({}, r)) },
+    };
+    const name = filename || `yubi-dashboard-${data.exportedAt.replace(/[:.]/g, '-')}.json`;
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return data;
+  }
+
+  // 右端 end 以前で最後のサンプル
+  function sampleAt(end){
+    for (let i = samples.length - 1; i >= 0; i--) if (samples[i].t <= end) return samples[i];
+    return null;
+  }
+
+  function fmt(v, digits){
+    return typeof v === 'number' && isFinite(v) ? v.toFixed(digits) : '-';
+  }
+
+  function draw(){
+    if (!ui || !visible) return;
+    const g = ui.canvas.getContext('2d');
+    const W = ui.canvas.width;
+    const H = ui.canvas.height;
+    const end = paused ? viewEnd : performance.now();
+    const start = end - VIEW_SEC * 1000;
+    const x = (t) => (t - start) / (VIEW_SEC * 1000) * W;
+    const view = samples.filter((s) => s.t >= start - GAP_MS && s.t <= end);
+    g.clearRect(0, 0, W, H);
+
+    // 状態の帯: 各サンプルから次のサンプルまで（GAP_MS で打ち切り）
+    for (let i = 0; i < view.length; i++) {
+      const s = view[i];
+      const next = i + 1 < view.length ? view[i + 1].t : end;
+      const until = Math.min(next, s.t + GAP_MS);
+      g.fillStyle = STATE_COLORS[s.state] || '#888';
+      g.fillRect(x(s.t), 0, Math.max(1, x(until) - x(s.t)), BAND_H);
+    }
+
+    g.font = '10px Consolas, monospace';
+    SERIES.forEach((ser, row) => {
+      const y0 = BAND_H + 4 + row * ROW_H;
+      g.fillStyle = 'rgba(255,255,255,0.04)';
+      g.fillRect(0, y0, W, ROW_H - 4);
+      let max = ser.max;
+      if (max == null) {
+        max = 0;
+        for (const s of view) if (typeof s[ser.key] === 'number' && s[ser.key] > max) max = s[ser.key];
+        if (!(max > 0)) max = 1;
+      }
+      const y = (v) => y0 + (ROW_H - 4) * (1 - Math.max(0, Math.min(1, v / max)));
+      g.strokeStyle = ser.color;
+      g.lineWidth = 1;
+      g.beginPath();
+      let prev = null;
+      for (const s of view) {
+        const v = s[ser.key];
+        if (typeof v !== 'number') { prev = null; continue; }
+        if (prev && s.t - prev.t <= GAP_MS) g.lineTo(x(s.t), y(v));
+        else g.moveTo(x(s.t), y(v));
+        prev = s;
+      }
+      g.stroke();
+      g.fillStyle = ser.color;
+      g.fillText(ser.max == null ? `${ser.key} (max ${fmt(max, ser.digits)})` : ser.key, 3, y0 + 10);
+    });
+
+    const cur = sampleAt(end);
+    ui.readout.textContent = cur
+      ? `${paused ? `-${((performance.now() - end) / 1000).toFixed(1)}s ` : ''}${cur.state}  conf ${fmt(cur.confidence, 2)}  run ${fmt(cur.runConf, 2)}  tip ${fmt(cur.tipSpeedPeak, 0)}  fps ${fmt(cur.fps, 1)}`
+      : '(no data)';
+    ui.telemetryBtn.textContent = telemetryFresh() ? 'テレメトリ停止' : 'テレメトリ';
+
+    // カウンタとレイテンシの表は 4Hz で十分
+    const now = performance.now();
+    if (now - countersDrawnAt > 250) {
+      countersDrawnAt = now;
+      const total = (m) => Object.keys(m).reduce((n, k) => n + m[k], 0);
+      const list = (m) => Object.keys(m).sort().map((k) => `${k} ${m[k]}`).join(' · ') || '-';
+      ui.counts.textContent = `受信 ${total(counters.received)} / 転送 ${total(counters.forwarded)}\n受信: ${list(counters.received)}\n転送: ${list(counters.forwarded)}`;
+      ui.latency.textContent = formatLatency(latencySummary());
+    }
+  }
+
+  function frame(){
+    rafId = 0;
+    if (!visible) return;
+    if (!paused) draw();
+    rafId = requestAnimationFrame(frame);
+  }
+
+  function show(){
+    if (!ensurePanel()) return;
+    visible = true;
+    ui.panel.classList.remove('recognition-hidden');
+    draw();
+    if (!rafId) rafId = requestAnimationFrame(frame);
+  }
+
+  function hide(){
+    visible = false;
+    if (ui) ui.panel.classList.add('recognition-hidden');
+    if (rafId) { cancelAnimationFrame(rafId); rafId = 0; }
+  }
+
+  function toggle(){
+    if (visible) hide(); else show();
+    return visible;
+  }
+
+  // Unity のキャンバスがフォーカスを持っていても拾えるように capture で聞く。入力欄での入力は除く
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== HOTKEY || e.ctrlKey || e.altKey || e.metaKey || e.repeat) return;
+    const t = e.target;
+    if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+    toggle();
+  }, true);
+
+  window.recognitionDashboard = {
+    received, forwarded, acked, show, hide, toggle, pause, resume, clear, exportBuffer,
+    get visible(){ return visible; },
+    get paused(){ return paused; },
+    samples: () => samples.slice(),
+    latency: () => latencySummary(),
+    counters: () => ({ received: Object.assign({}, counters.received), forwarded: Object.assign({}, counters.forwarded) }),
+  };
+
   window.updateRecognition = function(jsonOrString){
     try{
-      ensurePanel();
-      const content = document.getElementById('recognition-content');
-      if (!content) return;
+      if (!ensurePanel()) return;
       let obj = jsonOrString;
       if (typeof jsonOrString === 'string') {
         try { obj = JSON.parse(jsonOrString); } catch(e) { obj = jsonOrString; }
       }
-      if (typeof obj === 'object') {
-        content.textContent = JSON.stringify(obj, null, 2);
-      } else {
-        content.textContent = String(obj);
-      }
+      // 1 行で上書きする（毎フレーム届いても読めるように整形はしない）
+      ui.content.textContent = typeof obj === 'object' ? JSON.stringify(obj) : String(obj);
     }catch(e){ console.warn('[recognition_overlay] update error', e); }
   };
 
@@ -49,14 +394,9 @@
     return () => { if (tid) clearInterval(tid); };
   };
 
-  // iframe からの postMessage を受けて自動表示
-  window.addEventListener('message', (ev)=>{
-    try{
-      const d = ev.data || {};
-      if (d && d.type === 'state') {
-        window.updateRecognition(d);
-      }
-    }catch(e){}
-  }, false);
+  if (new URLSearchParams(location.search).get('dashboard') === '1') {
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', show);
+    else show();
+  }
 
 })();
@@ -0,0 +1,146 @@
+// check_gesture_fixtures.mjs - 記録フィクスチャ（recorder.js 形式）を classifyRecording で分類し、イベント列を確かめる。
+// 両手の記録は HandTracker で流して役割での絞り込みを、protocol_messages は protocol.js の validate で封筒とフィールドの検証を確かめる
+// 使い方: node tools/check_gesture_fixtures.mjs （リポジトリのルートから。食い違いがあれば終了コード 1）
+// フィクスチャは tools/gesture_fixtures/generate.mjs で作り直せる
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { classifyRecording, GESTURE_CFG, STATE_MESSAGE_TYPE, ACTION_GESTURES } from '../Assets/WebGLTemplates/yubi-soccer/TemplateData/embedded_yubi/gesture.js';
+import { LogisticKickModel } from '../Assets/WebGLTemplates/yubi-soccer/TemplateData/embedded_yubi/ml.js';
+
+const EMBEDDED_DIR = '../Assets/WebGLTemplates/yubi-soccer/TemplateData/embedded_yubi/';
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./gesture_fixtures/${name}.json`, import.meta.url), 'utf8'));
+// protocol.js は通常の <script> 用だが、CommonJS としても読み込める
+const YubiProtocol = createRequire(import.meta.url)(EMBEDDED_DIR + 'protocol.js');
+
+// 既定の GESTURE_CFG に patch（{ 'kick.mode': 'flick' } のような平坦なキー）を当てた設定
+function configWith(patch = {}) {
+  const cfg = structuredClone(GESTURE_CFG);
+  for (const [path, v] of Object.entries(patch)) {
+    const keys = path.split('.');
+    keys.slice(0, -1).reduce((o, k) => o[k], cfg)[keys[keys.length - 1]] = v;
+  }
+  return cfg;
+}
+
+// fixture: 記録、config: 設定の上書き、model: flick 用モデルのフィクスチャ、
+// expected: 状態遷移・単発ジェスチャのイベント列（charge_progress は除く。pass は向きを付けて pass:right）、
+// only: 比べるイベントの種別（省略時はすべて）、kick: 最初の KICK の power / azimuth / loft の範囲 [min, max]
+const CASES = [
+  // 解除フレームは KICK だけになり、RUN を挟まない。短い溜めは上限より弱く、振りが小さければ方向は既定（正面・defaultLoftRad）
+  {
+    name: 'charge release while running', fixture: 'charge_release_while_running', expected: ['idle', 'run', 'charge', 'kick', 'idle'],
+    kick: { power: [0.5, 0.9], azimuth: [0, 0], loft: [0.64, 0.64] },
+  },
+  // 長く溜めると上限の強さ、右へ振り出すと方位角は右（maxAzimuthRad で頭打ち）
+  {
+    name: 'long charge released to the right', fixture: 'long_charge_release_right', only: ['charge', 'kick'], expected: ['charge', 'kick'],
+    kick: { power: [1, 1], azimuth: [0.6, 0.6], loft: [0.2, 0.9] },
+  },
+  // モデルが無ければ、歩いている間にゲートを通っても flick の KICK は出ない
+  { name: 'flick without model', fixture: 'run_then_flick', config: { 'kick.mode': 'flick' }, expected: ['idle', 'run', 'idle'] },
+  { name: 'flick with model', fixture: 'run_then_flick', config: { 'kick.mode': 'flick' }, model: 'flick_model', expected: ['idle', 'run', 'kick', 'idle'] },
+  { name: 'both with model', fixture: 'run_then_flick', config: { 'kick.mode': 'both' }, model: 'flick_model', expected: ['idle', 'run', 'kick', 'idle'] },
+  // charge 方式では振り出しは KICK にならない
+  { name: 'flick motion in charge mode', fixture: 'run_then_flick', model: 'flick_model', expected: ['idle', 'run', 'idle'] },
+  // 単発ジェスチャは状態を変えずに 1 回ずつ出る（指を動かす間の RUN は比べない）
+  { name: 'pass, jump and feint', fixture: 'pass_jump_feint', only: ACTION_GESTURES, expected: ['jump', 'pass:right', 'pass:left', 'feint'] },
+];
+
+// 両手の記録は HandTracker.runReplay で流し、役割での絞り込みまで確かめる。
+// expected: 手ごとのイベント列（hand:種別。状態遷移は STATE_MESSAGE_TYPE の名前、単発ジェスチャは CASES と同じ）
+const TWO_HAND_CASES = [
+  // 走る手は RUN と JUMP だけ、蹴る手は CHARGE / KICK と PASS だけ
+  {
+    name: 'two hands with run and kick roles', fixture: 'two_hands_roles', roles: { left: 'run', right: 'kick' },
+    expected: ['left:run', 'right:charge', 'right:kick', 'right:idle', 'left:idle', 'left:run', 'left:jump', 'left:idle', 'right:pass:right'],
+  },
+  // 役割を入れ替えると、それぞれの手の CHARGE / KICK / JUMP / PASS は出ない
+  {
+    name: 'two hands with swapped roles', fixture: 'two_hands_roles', roles: { left: 'kick', right: 'run' },
+    expected: ['right:run', 'right:idle', 'right:run'],
+  },
+];
+
+const eventLabel = (ev) => (ev.type === 'pass' ? `pass:${ev.direction}` : ev.type);
+const inRange = (v, [lo, hi]) => typeof v === 'number' && v >= lo - 1e-3 && v <= hi + 1e-3;
+
+function classifierEvents(c) {
+  const kickModel = c.model ? LogisticKickModel.fromJSON(readFixture(c.model)) : null;
+  const events = [];
+  for (const r of classifyRecording(readFixture(c.fixture), { cfg: configWith(c.config), kickModel })) {
+    for (const ev of r.events) {
+      if (ev.type === 'charge_progress' || (c.only && !c.only.includes(ev.type))) continue;
+      events.push({ ...ev, t: r.t, label: eventLabel(ev) });
+    }
+  }
+  return events;
+}
+
+// KICK の強さと方向が範囲内で、ホストへ送る kick メッセージとしても protocol.js の検証を通るか
+function kickProblems(c, events) {
+  if (!c.kick) return [];
+  const kick = events.find((ev) => ev.type === 'kick');
+  if (!kick) return ['no kick event'];
+  const problems = [];
+  for (const [field, range] of Object.entries(c.kick)) {
+    if (!inRange(kick[field], range)) problems.push(`${field} ${kick[field]} not in ${range.join('..')}`);
+  }
+  const v = YubiProtocol.validate({ protocol: 'yubi', v: 1, type: 'kick', seq: 1, ts: 0, confidence: kick.confidence, power: kick.power, azimuth: kick.azimuth, loft: kick.loft });
+  if (!v.ok) problems.push(`kick message rejected (${v.reason} ${v.detail})`);
+  return problems;
+}
+
+// HandTracker はオーバーレイ描画と作業用 canvas に DOM を使うので、何もしない canvas を渡して読み込む
+const noopContext = new Proxy({}, { get: () => () => {} });
+const canvas = () => ({ getContext: () => noopContext, width: 0, height: 0, clientWidth: 400, clientHeight: 400, style: {} });
+let HandTracker = null;
+async function loadHandTracker() {
+  if (HandTracker) return HandTracker;
+  globalThis.window = globalThis;
+  globalThis.location = { search: '' };
+  globalThis.document = { createElement: canvas, getElementById: () => null };
+  ({ HandTracker } = await import(EMBEDDED_DIR + 'hand.js'));
+  return HandTracker;
+}
+
+async function trackerEvents(c) {
+  const Tracker = await loadHandTracker();
+  const tracker = new Tracker({ video: {}, overlay: canvas(), twoHands: true, roles: c.roles });
+  const events = [];
+  // hand が null の statechange は両手をまとめた状態なので除く
+  tracker.addEventListener('statechange', ({ detail: d }) => { if (d.hand) events.push({ t: d.ts, label: `${d.hand}:${STATE_MESSAGE_TYPE[d.state]}` }); });
+  for (const type of ACTION_GESTURES) tracker.addEventListener(type, ({ detail: d }) => events.push({ t: d.ts, label: `${d.hand}:${eventLabel({ type, ...d })}` }));
+  tracker.runReplay(readFixture(c.fixture));
+  return events;
+}
+
+let failed = 0;
+function report(c, events, problems = []) {
+  const actual = events.map((ev) => ev.label);
+  if (actual.join(' ') === c.expected.join(' ') && !problems.length) {
+    console.log(`ok   ${c.name}: ${actual.join(' ')}`);
+    return;
+  }
+  failed++;
+  console.log(`FAIL ${c.name}\n  expected: ${c.expected.join(' ')}\n  actual:   ${events.map((ev) => `${ev.label}@${ev.t}`).join(' ')}`);
+  for (const p of problems) console.log(`  ${p}`);
+}
+
+for (const c of CASES) {
+  const events = classifierEvents(c);
+  report(c, events, kickProblems(c, events));
+}
+for (const c of TWO_HAND_CASES) report(c, await trackerEvents(c));
+
+// プロトコルの封筒とフィールドの検証（不正なものは理由付きで破棄される）
+for (const { name, message, expected } of readFixture('protocol_messages')) {
+  const v = YubiProtocol.validate(message);
+  const ok = v.ok === expected.ok && (expected.ok || (v.reason === expected.reason && String(v.detail ?? '').startsWith(expected.detail ?? '')));
+  if (ok) {
+    console.log(`ok   protocol ${name}: ${v.ok ? 'accepted' : `${v.reason} ${v.detail ?? ''}`.trim()}`);
+  } else {
+    failed++;
+    console.log(`FAIL protocol ${name}\n  expected: ${JSON.stringify(expected)}\n  actual:   ${JSON.stringify(v)}`);
+  }
+}
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,166 @@
+// generate.mjs - check_gesture_fixtures.mjs が使う記録フィクスチャ（recorder.js 形式）を合成する
+// 使い方: node tools/gesture_fixtures/generate.mjs （このディレクトリの *.json を書き直す）
+// カメラで録った記録ではなく、21 点のランドマークを手で組み立てた 30fps の動き。protocol.js の検証に通すメッセージもここで書く
+import { writeFileSync } from 'node:fs';
+
+const FPS = 30;
+const r3 = (v) => Math.round(v * 1000) / 1000;
+
+// 指を上に向けた手。idx / mid は人差し指・中指の指先の横のずれ、bent で 2 本を曲げる。dx / dy で手全体をずらす。
+// tilt / midTilt は人差し指・中指を伸ばしたまま付け根から横に倒す（指先の横のずれ。関節は曲がらない）
+function hand({ idx = 0, mid = 0, bent = false, dx = 0, dy = 0, tilt = 0, midTilt = 0 } = {}) {
+  const lm = [];
+  for (let i = 0; i < 21; i++) lm.push({ x: 0.5 + ((i % 5) - 2) * 0.02, y: 0.6 - Math.floor(i / 5) * 0.04, z: 0 });
+  lm[0] = { x: 0.5, y: 0.7, z: 0 };
+  lm[5] = { x: 0.48, y: 0.5, z: 0 }; lm[9] = { x: 0.52, y: 0.5, z: 0 };
+  if (bent) {
+    lm[6] = { x: 0.48, y: 0.43, z: 0 }; lm[7] = { x: 0.52, y: 0.45, z: 0 }; lm[8] = { x: 0.52, y: 0.49, z: 0 };
+    lm[10] = { x: 0.52, y: 0.42, z: 0 }; lm[11] = { x: 0.56, y: 0.44, z: 0 }; lm[12] = { x: 0.56, y: 0.48, z: 0 };
+  } else {
+    lm[6] = { x: 0.48, y: 0.43, z: 0 }; lm[7] = { x: 0.48 + idx * 0.6, y: 0.39, z: 0 }; lm[8] = { x: 0.48 + idx, y: 0.35, z: 0 };
+    lm[10] = { x: 0.52, y: 0.42, z: 0 }; lm[11] = { x: 0.52 + mid * 0.6, y: 0.38, z: 0 }; lm[12] = { x: 0.52 + mid, y: 0.34, z: 0 };
+  }
+  // 付け根（y 0.5）からの距離に比例してずらすので、倒しても指はまっすぐ
+  for (const [tips, t] of [[[6, 7, 8], tilt], [[10, 11, 12], midTilt]]) {
+    for (const k of tips) lm[k].x += t * (0.5 - lm[k].y) / 0.15;
+  }
+  return lm.map((p) => ({ x: r3(p.x + dx), y: r3(p.y + dy), z: 0 }));
+}
+
+// 指を下に向けて机の上を歩かせる手（手首が上）。idx / mid は指先の前後（y）のずれ。
+// movementGateForKick は指先が手首より下にあることを条件にするので、flick の記録はこちらを使う
+function walker({ idx = 0, mid = 0 } = {}) {
+  const lm = [];
+  for (let i = 0; i < 21; i++) lm.push({ x: 0.5 + ((i % 5) - 2) * 0.02, y: 0.3 + Math.floor(i / 5) * 0.04, z: 0 });
+  lm[0] = { x: 0.5, y: 0.25, z: 0 };
+  lm[5] = { x: 0.48, y: 0.4, z: 0 }; lm[6] = { x: 0.48, y: 0.47, z: 0 }; lm[7] = { x: 0.48 + idx * 0.3, y: 0.52 + idx * 0.5, z: 0 }; lm[8] = { x: 0.48 + idx * 0.5, y: 0.57 + idx, z: 0 };
+  lm[9] = { x: 0.52, y: 0.4, z: 0 }; lm[10] = { x: 0.52, y: 0.47, z: 0 }; lm[11] = { x: 0.52 + mid * 0.3, y: 0.52 + mid * 0.5, z: 0 }; lm[12] = { x: 0.52 + mid * 0.5, y: 0.57 + mid, z: 0 };
+  for (const k of [16, 20]) lm[k].y = Math.max(lm[k].y, 0.45);
+  return lm.map((p) => ({ x: r3(p.x), y: r3(p.y), z: 0 }));
+}
+
+// 人差し指と中指を交互に振る（8 フレーム周期）
+const running = (shape, amp, n) => Array.from({ length: n }, (_, i) => {
+  const s = Math.sin(i * 2 * Math.PI / 8) * amp;
+  return shape({ idx: s, mid: -s });
+});
+const repeat = (lm, n) => Array.from({ length: n }, () => lm);
+// from から to まで steps フレームで動かす（手の形 shape に { [key]: 途中の値 } を渡す）
+const sweep = (shape, key, from, to, steps, opts = {}) => Array.from({ length: steps }, (_, i) => shape({ ...opts, [key]: from + (to - from) * (i + 1) / steps }));
+// 2 つの手の形 a → b を steps フレームで補間する
+const blend = (a, b, steps) => Array.from({ length: steps }, (_, i) => {
+  const f = (i + 1) / steps;
+  return a.map((p, k) => ({ x: r3(p.x + (b[k].x - p.x) * f), y: r3(p.y + (b[k].y - p.y) * f), z: 0 }));
+});
+
+function recording(seq) {
+  const frames = seq.map((lm, i) => ({ t: r3((i + 1) / FPS), videoW: 640, videoH: 480, viewW: 640, viewH: 480, lm }));
+  return { format: 'yubi-landmarks', version: 1, createdAt: '2026-10-19T00:00:00.000Z', mirror: true, numHands: 1, userAgent: 'synthetic', frames };
+}
+
+// 両手の記録。left / right は同じ長さのランドマーク列（recorder.js の両手モードと同じく各フレームに hands を持つ）
+function twoHandRecording(left, right) {
+  const frames = left.map((lm, i) => ({
+    t: r3((i + 1) / FPS), videoW: 640, videoH: 480, viewW: 640, viewH: 480,
+    hands: [{ hand: 'left', lm }, { hand: 'right', lm: right[i] }],
+  }));
+  return { format: 'yubi-landmarks', version: 1, createdAt: '2026-10-19T00:00:00.000Z', mirror: true, numHands: 2, userAgent: 'synthetic', frames };
+}
+
+// 左右の手を画面の左右に置いた形
+const leftHand = (opts = {}) => hand({ ...opts, dx: -0.2 });
+const rightHand = (opts = {}) => hand({ ...opts, dx: 0.2 });
+
+const FIXTURES = {
+  // 走り → 溜め → 走りながら解除 → 静止
+  charge_release_while_running: recording([
+    ...repeat(hand(), 10),
+    ...running(hand, 0.03, 30),
+    ...repeat(hand({ bent: true }), 20),
+    ...running(hand, 0.03, 20),
+    ...repeat(hand(), 45),
+  ]),
+  // 指で歩く → 止まる → 2 本の指を引いて一気に前へ振り出す → 静止
+  run_then_flick: recording([
+    ...repeat(walker(), 10),
+    ...running(walker, 0.03, 40),
+    ...repeat(walker(), 10),
+    ...[-0.02, -0.05, -0.06, 0.04, 0.1, 0.1].map((d) => walker({ idx: d, mid: d })),
+    ...repeat(walker(), 45),
+  ]),
+  // 長く溜めて、指を伸ばしながら右へ振り出す（強さは上限、方向は右）
+  long_charge_release_right: recording([
+    ...repeat(hand(), 10),
+    ...repeat(hand({ bent: true }), 45),
+    ...blend(hand({ bent: true }), hand({ tilt: 0.2, midTilt: 0.2 }), 4),
+    ...repeat(hand({ tilt: 0.2, midTilt: 0.2 }), 45),
+  ]),
+  // 手全体を上へ振る → 人差し指を右へ弾く → 左へ弾く → 2 本をはさみのように開く（間はデバウンスより長く止める）
+  pass_jump_feint: recording([
+    ...repeat(hand(), 15),
+    ...sweep(hand, 'dy', 0, -0.56, 8),
+    ...repeat(hand({ dy: -0.56 }), 10),
+    ...sweep(hand, 'dy', -0.56, 0, 40),
+    ...repeat(hand(), 15),
+    ...sweep(hand, 'tilt', 0, 0.24, 6),
+    ...repeat(hand({ tilt: 0.24 }), 10),
+    ...sweep(hand, 'tilt', 0.24, 0, 40),
+    ...repeat(hand(), 15),
+    ...sweep(hand, 'tilt', 0, -0.24, 6),
+    ...repeat(hand({ tilt: -0.24 }), 10),
+    ...sweep(hand, 'tilt', -0.24, 0, 40),
+    ...repeat(hand(), 15),
+    ...Array.from({ length: 6 }, (_, i) => hand({ tilt: -0.012 * (i + 1), midTilt: 0.012 * (i + 1) })),
+    ...repeat(hand({ tilt: -0.072, midTilt: 0.072 }), 25),
+  ]),
+  // 左手は走り、右手は溜めて解除する。その後、左手で跳び、右手でパスする
+  two_hands_roles: twoHandRecording([
+    ...repeat(leftHand(), 10),
+    ...running(leftHand, 0.03, 50),
+    ...repeat(leftHand(), 60),
+    ...sweep(leftHand, 'dy', 0, -0.4, 6),
+    ...repeat(leftHand({ dy: -0.4 }), 60),
+  ], [
+    ...repeat(rightHand(), 20),
+    ...repeat(rightHand({ bent: true }), 20),
+    ...repeat(rightHand(), 80),
+    ...repeat(rightHand(), 42),
+    ...sweep(rightHand, 'tilt', 0, 0.24, 6),
+    ...repeat(rightHand({ tilt: 0.24 }), 18),
+  ]),
+};
+
+// flick 用の最小の LogisticKickModel（ml.js の toJSON 形式）。人差し指の指先速度の最大（特徴量 8、手スケール正規化）だけを見て、
+// 歩く速さ（約 5）では 0 近く、振り出し（約 22）では 1 近くになる
+const w = new Array(18).fill(0);
+const mean = new Array(18).fill(0);
+w[8] = 1;
+mean[8] = 13;
+const MODELS = {
+  flick_model: { w, b: 0, mean, std: new Array(18).fill(1) },
+};
+
+// protocol.js の validate に通すメッセージ。expected の detail は先頭一致で比べる
+const envelope = (type, fields = {}) => ({ protocol: 'yubi', v: 1, type, seq: 7, ts: 1792368000000, token: 'fixture', ...fields });
+const MESSAGE_CASES = [
+  { name: 'state with kick fields', message: envelope('state', { state: 'KICK', confidence: 0.9, hand: 'right', power: 0.8, azimuth: 0.3, loft: 0.5, timing: { capturedAt: 1792367999950, detectedAt: 1792367999970 } }), expected: { ok: true } },
+  { name: 'pass with direction', message: envelope('pass', { confidence: 0.7, direction: 'left', azimuth: -0.4 }), expected: { ok: true } },
+  { name: 'kick_mode result', message: envelope('kick_mode', { requestId: 'r1', ok: false, mode: 'charge', reason: 'model_not_found' }), expected: { ok: true } },
+  { name: 'missing protocol', message: { ...envelope('state', { state: 'RUN', confidence: 0.5 }), protocol: undefined }, expected: { ok: false, reason: 'not_protocol' } },
+  { name: 'future version', message: envelope('state', { state: 'RUN', confidence: 0.5, v: 2 }), expected: { ok: false, reason: 'unsupported_version' } },
+  { name: 'unknown type', message: envelope('dribble', { confidence: 0.5 }), expected: { ok: false, reason: 'unknown_type', detail: 'dribble' } },
+  { name: 'zero seq', message: envelope('run', { confidence: 0.5, seq: 0 }), expected: { ok: false, reason: 'invalid_envelope', detail: 'seq' } },
+  { name: 'string ts', message: envelope('run', { confidence: 0.5, ts: '1792368000000' }), expected: { ok: false, reason: 'invalid_envelope', detail: 'ts' } },
+  { name: 'timing out of order', message: envelope('run', { confidence: 0.5, timing: { capturedAt: 1792367999970, detectedAt: 1792367999950 } }), expected: { ok: false, reason: 'invalid_envelope', detail: 'timing' } },
+  { name: 'unknown state', message: envelope('state', { state: 'JUMP', confidence: 0.5 }), expected: { ok: false, reason: 'invalid_field', detail: 'state.state' } },
+  { name: 'unknown hand', message: envelope('state', { state: 'RUN', confidence: 0.5, hand: 'both' }), expected: { ok: false, reason: 'invalid_field', detail: 'state.hand' } },
+  { name: 'kick power above 1', message: envelope('kick', { confidence: 0.9, power: 1.5 }), expected: { ok: false, reason: 'invalid_field', detail: 'kick.power' } },
+  { name: 'kick azimuth behind', message: envelope('kick', { confidence: 0.9, azimuth: 2 }), expected: { ok: false, reason: 'invalid_field', detail: 'kick.azimuth' } },
+  { name: 'pass without direction', message: envelope('pass', { confidence: 0.7 }), expected: { ok: false, reason: 'invalid_field', detail: 'pass.direction' } },
+  { name: 'unknown kick mode', message: envelope('set_kick_mode', { mode: 'auto' }), expected: { ok: false, reason: 'invalid_field', detail: 'set_kick_mode.mode' } },
+];
+
+for (const [name, obj] of Object.entries({ ...FIXTURES, ...MODELS, protocol_messages: MESSAGE_CASES })) {
+  writeFileSync(new URL(`./${name}.json`, import.meta.url), JSON.stringify(obj) + '\n');
+}
+console.log('wrote', Object.keys(FIXTURES).length, 'recordings,', Object.keys(MODELS).length, 'models and', MESSAGE_CASES.length, 'protocol messages');